@@ -0,0 +1,58 @@
+// Abilities.js - Unit ability definitions (cooldowns, energy, targeting, hotkeys, casting)
+
+/**
+ * What an ability is cast on
+ */
+export const AbilityTarget = {
+  INSTANT: 'instant', // No target, cast right away
+  POINT: 'point', // A world position ({ x, y })
+  UNIT: 'unit' // Another unit
+}
+
+/**
+ * Ability definitions by id
+ * Unit types list the ids they can use (`abilities` in units/*.json). Each ability has:
+ * - id, name, hotkey (key that casts it for the selected units)
+ * - targeting: AbilityTarget, range (pixels, for point and unit targets)
+ * - cooldown (ms between casts), energyCost
+ * - castTime (ms the unit spends casting before the effect applies), animation (cast animation key)
+ * - canCast(unit, target): extra conditions (optional)
+ * - execute(unit, target): the effect, applied when the cast finishes
+ */
+export const ABILITIES = {
+  // Toggles between burrowed and unburrowed. Burrowed units are untargetable and immobile.
+  burrow: {
+    id: 'burrow',
+    name: 'Burrow',
+    hotkey: 'u',
+    targeting: AbilityTarget.INSTANT,
+    cooldown: 0,
+    energyCost: 0,
+    castTime: 500,
+    animation: 'burrow',
+    execute(unit) {
+      unit.burrowed = !unit.burrowed
+    }
+  }
+}
+
+/**
+ * Get an ability definition by id
+ * @returns {Object|null}
+ */
+export function getAbility(abilityId) {
+  return ABILITIES[abilityId] || null
+}
+
+/**
+ * Get how far underground a unit is, for drawing the burrow transition
+ * @returns {number} 0 above ground to 1 fully burrowed
+ */
+export function getBurrowDepth(unit) {
+  const cast = unit.castState
+  if (cast && cast.abilityId === 'burrow') {
+    const progress = cast.elapsed / cast.duration
+    return unit.burrowed ? 1 - progress : progress
+  }
+  return unit.burrowed ? 1 : 0
+}
@@ -0,0 +1,215 @@
+// Camera.js - Viewport into a world larger than the canvas
+
+export const CAMERA_SCROLL_SPEED = 600 // Pixels per second (arrow keys and edge scrolling)
+export const EDGE_SCROLL_MARGIN = 16 // Distance from the canvas edge that starts edge scrolling
+export const ZOOM_LEVELS = [0.5, 0.75, 1, 1.5, 2, 3] // Screen pixels per world pixel
+export const DEFAULT_ZOOM_INDEX = 2 // 1:1
+
+/**
+ * Camera class - Maps between screen (canvas) and world coordinates
+ * x/y is the world position of the canvas' top-left corner and zoom the number
+ * of screen pixels per world pixel. Zooming only changes how the world is
+ * drawn: the simulation, unit sizes (each type's size.width/height in
+ * units/*.json) and hit-testing all stay in world pixels. The camera is
+ * presentation state only: it isn't part of the simulation, so it moves on
+ * wall-clock time and keeps working while the game is paused.
+ */
+export class Camera {
+  constructor(viewWidth, viewHeight, worldWidth, worldHeight) {
+    this.x = 0
+    this.y = 0
+    this.viewWidth = viewWidth
+    this.viewHeight = viewHeight
+    this.worldWidth = worldWidth
+    this.worldHeight = worldHeight
+    this.zoomIndex = DEFAULT_ZOOM_INDEX
+    this.zoom = ZOOM_LEVELS[DEFAULT_ZOOM_INDEX]
+
+    // Middle-drag panning
+    this.isDragging = false
+    this.dragStart = { x: 0, y: 0 }
+    this.dragCameraStart = { x: 0, y: 0 }
+  }
+
+  /**
+   * Set the size of the world the camera can scroll over
+   */
+  setWorldSize(worldWidth, worldHeight) {
+    this.worldWidth = worldWidth
+    this.worldHeight = worldHeight
+    this.clamp()
+  }
+
+  /**
+   * Set the size of the visible area (canvas size)
+   */
+  setViewSize(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth
+    this.viewHeight = viewHeight
+    this.clamp()
+  }
+
+  /**
+   * Keep the view inside the world (centered when the world is smaller than the view)
+   */
+  clamp() {
+    const visibleWidth = this.viewWidth / this.zoom
+    const visibleHeight = this.viewHeight / this.zoom
+
+    this.x = visibleWidth >= this.worldWidth
+      ? (this.worldWidth - visibleWidth) / 2
+      : Math.max(0, Math.min(this.x, this.worldWidth - visibleWidth))
+    this.y = visibleHeight >= this.worldHeight
+      ? (this.worldHeight - visibleHeight) / 2
+      : Math.max(0, Math.min(this.y, this.worldHeight - visibleHeight))
+  }
+
+  /**
+   * Change zoom level, keeping the world point under a screen position fixed
+   * @param {number} steps - Levels to zoom in (positive) or out (negative)
+   * @param {number} screenX - Zoom anchor (usually the mouse), defaults to the view center
+   * @param {number} screenY
+   */
+  zoomAt(steps, screenX = this.viewWidth / 2, screenY = this.viewHeight / 2) {
+    const zoomIndex = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, this.zoomIndex + steps))
+    if (zoomIndex === this.zoomIndex) return
+
+    const anchor = this.screenToWorld(screenX, screenY)
+    this.zoomIndex = zoomIndex
+    this.zoom = ZOOM_LEVELS[zoomIndex]
+    this.setPosition(anchor.x - screenX / this.zoom, anchor.y - screenY / this.zoom)
+  }
+
+  /**
+   * Set the zoom level directly (restoring a save game)
+   */
+  setZoomIndex(zoomIndex) {
+    this.zoomIndex = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, zoomIndex))
+    this.zoom = ZOOM_LEVELS[this.zoomIndex]
+    this.clamp()
+  }
+
+  /**
+   * Move the camera to an absolute world position (top-left corner)
+   */
+  setPosition(x, y) {
+    this.x = x
+    this.y = y
+    this.clamp()
+  }
+
+  /**
+   * Move the camera by a world-space offset
+   */
+  move(dx, dy) {
+    this.setPosition(this.x + dx, this.y + dy)
+  }
+
+  /**
+   * Center the view on a world position
+   */
+  centerOn(worldX, worldY) {
+    this.setPosition(worldX - this.viewWidth / 2 / this.zoom, worldY - this.viewHeight / 2 / this.zoom)
+  }
+
+  /**
+   * Scroll in a direction for one frame
+   * @param {number} frameTime - Milliseconds since the previous frame
+   * @param {number} dirX - Horizontal direction (-1, 0 or 1)
+   * @param {number} dirY - Vertical direction (-1, 0 or 1)
+   */
+  update(frameTime, dirX, dirY) {
+    if (this.isDragging || (dirX === 0 && dirY === 0)) return
+
+    // Scroll speed is in screen pixels, so it feels the same at every zoom level
+    const distance = CAMERA_SCROLL_SPEED * frameTime / 1000 / this.zoom
+    this.move(dirX * distance, dirY * distance)
+  }
+
+  /**
+   * Get the edge scroll direction for a screen position
+   */
+  getEdgeScrollDirection(screenX, screenY) {
+    let dirX = 0
+    let dirY = 0
+
+    if (screenX < EDGE_SCROLL_MARGIN) dirX = -1
+    else if (screenX > this.viewWidth - EDGE_SCROLL_MARGIN) dirX = 1
+
+    if (screenY < EDGE_SCROLL_MARGIN) dirY = -1
+    else if (screenY > this.viewHeight - EDGE_SCROLL_MARGIN) dirY = 1
+
+    return { x: dirX, y: dirY }
+  }
+
+  /**
+   * Start middle-drag panning
+   */
+  startDrag(screenX, screenY) {
+    this.isDragging = true
+    this.dragStart = { x: screenX, y: screenY }
+    this.dragCameraStart = { x: this.x, y: this.y }
+  }
+
+  /**
+   * Continue middle-drag panning (the world follows the mouse)
+   */
+  drag(screenX, screenY) {
+    if (!this.isDragging) return
+
+    this.setPosition(
+      this.dragCameraStart.x - (screenX - this.dragStart.x) / this.zoom,
+      this.dragCameraStart.y - (screenY - this.dragStart.y) / this.zoom
+    )
+  }
+
+  /**
+   * Stop middle-drag panning
+   */
+  endDrag() {
+    this.isDragging = false
+  }
+
+  /**
+   * Convert screen (canvas) coordinates to world coordinates
+   */
+  screenToWorld(screenX, screenY) {
+    return {
+      x: screenX / this.zoom + this.x,
+      y: screenY / this.zoom + this.y
+    }
+  }
+
+  /**
+   * Convert world coordinates to screen (canvas) coordinates
+   */
+  worldToScreen(worldX, worldY) {
+    return {
+      x: (worldX - this.x) * this.zoom,
+      y: (worldY - this.y) * this.zoom
+    }
+  }
+
+  /**
+   * Get the visible world rectangle
+   */
+  getVisibleBounds() {
+    return {
+      left: this.x,
+      top: this.y,
+      right: this.x + this.viewWidth / this.zoom,
+      bottom: this.y + this.viewHeight / this.zoom
+    }
+  }
+
+  /**
+   * Scale and translate the context so world-space drawing lands in the view
+   * The offset is rounded to whole screen pixels and image smoothing is turned
+   * off, so zoomed sprites scale with crisp nearest-neighbour pixels.
+   */
+  applyTransform(ctx) {
+    ctx.imageSmoothingEnabled = false
+    ctx.translate(-Math.round(this.x * this.zoom), -Math.round(this.y * this.zoom))
+    ctx.scale(this.zoom, this.zoom)
+  }
+}
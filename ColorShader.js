@@ -302,7 +302,8 @@ export class ColorShader {
    * @returns {Canvas} Canvas with recolored sprite
    */
   getRecoloredSprite(spriteSheet, sx, sy, width, height, paletteKey = 'magenta') {
-    const cacheKey = `${paletteKey}_${sx}_${sy}_${width}_${height}`
+    // Include the sheet so unit types with different sheets don't share frames
+    const cacheKey = `${spriteSheet.src}_${paletteKey}_${sx}_${sy}_${width}_${height}`
     
     // Check cache first
     if (this.cache.has(cacheKey)) {
@@ -390,6 +391,17 @@ export class ColorShader {
     return this.cache.size
   }
 
+  /**
+   * Estimate cache memory in bytes (4 bytes per cached pixel)
+   */
+  getCacheMemory() {
+    let bytes = 0
+    for (const canvas of this.cache.values()) {
+      bytes += canvas.width * canvas.height * 4
+    }
+    return bytes
+  }
+
   /**
    * Preload all sprites for a palette
    * @param {Image} spriteSheet - Source sprite sheet
@@ -445,10 +457,11 @@ export class ColorShader {
 
 /**
  * Get random palette key
+ * @param {Function} random - Returns a float in [0, 1) (pass a seeded generator for determinism)
  */
-export function getRandomPalette() {
+export function getRandomPalette(random = Math.random) {
   const keys = Object.keys(COLOR_PALETTES)
-  return keys[Math.floor(Math.random() * keys.length)]
+  return keys[Math.floor(random() * keys.length)]
 }
 
 /**
@@ -458,3 +471,12 @@ export function getAllPaletteKeys() {
   return Object.keys(COLOR_PALETTES)
 }
 
+
+/**
+ * Get a palette's main color as a CSS hex string (the replacement for pure magenta)
+ */
+export function getPaletteColor(paletteKey) {
+  const palette = COLOR_PALETTES[paletteKey] || COLOR_PALETTES.magenta
+  const color = palette.colors[0xff00ff] ?? 0xff00ff
+  return '#' + color.toString(16).padStart(6, '0')
+}
@@ -46,6 +46,20 @@ export class Cursor {
     })
   }
   
+  /**
+   * Add a cursor state drawn in code instead of loaded from images
+   * @param {string} stateName - State name used with setState()
+   * @param {Function} drawFn - Called as drawFn(ctx, x, y) with the cursor position
+   */
+  addDrawnState(stateName, drawFn) {
+    this.states[stateName] = {
+      images: [],
+      loaded: true,
+      animated: false,
+      draw: drawFn
+    }
+  }
+  
   /**
    * Load images for a specific cursor state
    */
@@ -117,7 +131,11 @@ export class Cursor {
    */
   draw(ctx) {
     const state = this.states[this.currentState]
-    if (state && state.loaded && state.images.length > 0) {
+    if (state && state.draw) {
+      ctx.save()
+      state.draw(ctx, this.position.x, this.position.y)
+      ctx.restore()
+    } else if (state && state.loaded && state.images.length > 0) {
       const cursorImg = state.images[this.currentFrame]
       if (cursorImg && cursorImg.complete) {
         ctx.drawImage(cursorImg, this.position.x, this.position.y)
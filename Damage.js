@@ -0,0 +1,44 @@
+// Damage.js - Damage types, unit sizes and damage resolution
+
+/**
+ * Damage types of attacks
+ */
+export const DamageType = {
+  NORMAL: 'normal', // Full damage to every size
+  CONCUSSIVE: 'concussive', // Best against small units
+  EXPLOSIVE: 'explosive' // Best against large units
+}
+
+/**
+ * Unit size classes (what damage types are measured against)
+ */
+export const UnitSize = {
+  SMALL: 'small',
+  MEDIUM: 'medium',
+  LARGE: 'large'
+}
+
+// Fraction of the damage (after armor) each damage type deals to each size
+export const DAMAGE_MODIFIERS = {
+  [DamageType.NORMAL]: { [UnitSize.SMALL]: 1, [UnitSize.MEDIUM]: 1, [UnitSize.LARGE]: 1 },
+  [DamageType.CONCUSSIVE]: { [UnitSize.SMALL]: 1, [UnitSize.MEDIUM]: 0.5, [UnitSize.LARGE]: 0.25 },
+  [DamageType.EXPLOSIVE]: { [UnitSize.SMALL]: 0.5, [UnitSize.MEDIUM]: 0.75, [UnitSize.LARGE]: 1 }
+}
+
+// Every hit deals at least this much, however high the target's armor
+export const MIN_DAMAGE = 0.5
+
+/**
+ * Work out the damage an attack deals to a target
+ * All combat damage goes through here: armor is subtracted first, then the
+ * damage type's modifier for the target's size is applied, and the result is
+ * never below MIN_DAMAGE.
+ * @param {Object} attack - { attacker, damage, damageType } (attacker may be null, e.g. a shot from a dead unit)
+ * @param {Unit} target - Unit being hit (armor with its modifiers, unitSize)
+ * @returns {number} Damage to subtract from the target's health
+ */
+export function resolveDamage(attack, target) {
+  const { damage, damageType = DamageType.NORMAL } = attack
+  const modifier = DAMAGE_MODIFIERS[damageType]?.[target.unitSize] ?? 1
+  return Math.max(MIN_DAMAGE, (damage - target.getStat('armor')) * modifier)
+}
@@ -0,0 +1,109 @@
+// EventBus.js - Typed publish/subscribe for game events
+
+/**
+ * Game event types and their payloads
+ * Events describe something that already happened; handlers must not change
+ * simulation state (that goes through commands), so subscribing never affects
+ * determinism or replays.
+ */
+export const GameEvent = {
+  UNIT_SPAWNED: 'unitSpawned', // { unit }
+  UNIT_DAMAGED: 'unitDamaged', // { unit, amount, attacker, cause } - attacker may be null
+  UNIT_HEALED: 'unitHealed', // { unit, amount, source, cause } - cause is a HealthChangeCause
+  UNIT_KILLED: 'unitKilled', // { unit }
+  SELECTION_CHANGED: 'selectionChanged', // { unit, selected }
+  PATH_SET: 'pathSet', // { unit, path }
+  ABILITY_CAST: 'abilityCast', // { unit, abilityId, target } - cast started
+  ABILITY_FINISHED: 'abilityFinished', // { unit, abilityId, target } - cast completed and applied
+  STATUS_EFFECT_APPLIED: 'statusEffectApplied', // { unit, effectId, stacks, source } - also when reapplied
+  STATUS_EFFECT_REMOVED: 'statusEffectRemoved', // { unit, effectId } - expired or removed
+  RESEARCH_STARTED: 'researchStarted', // { playerId, upgradeId, level }
+  RESEARCH_CANCELED: 'researchCanceled', // { playerId, upgradeId, level }
+  RESEARCH_COMPLETED: 'researchCompleted', // { playerId, upgradeId, level } - applied to the player's units
+  PROJECTILE_LAUNCHED: 'projectileLaunched', // { projectile, source, target }
+  PROJECTILE_IMPACT: 'projectileImpact', // { projectile, target, hit } - target may be null
+  COMMAND_ISSUED: 'commandIssued', // { command, result, tick }
+  TILE_CHANGED: 'tileChanged' // { x, y, value }
+}
+
+const EVENT_TYPES = new Set(Object.values(GameEvent))
+
+/**
+ * EventBus class - Dispatches GameEvents to subscribed handlers
+ * Each Simulation owns one; UI, audio, stats and scripts subscribe to it
+ * instead of polling the unit list.
+ */
+export class EventBus {
+  constructor() {
+    this.handlers = new Map() // Event type -> array of handlers
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - GameEvent type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, handler) {
+    if (!EVENT_TYPES.has(type)) {
+      console.warn(`Unknown event type: ${type}`)
+    }
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, [])
+    }
+    this.handlers.get(type).push(handler)
+
+    return () => this.off(type, handler)
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @returns {Function} Call to unsubscribe
+   */
+  once(type, handler) {
+    const unsubscribe = this.on(type, payload => {
+      unsubscribe()
+      handler(payload)
+    })
+    return unsubscribe
+  }
+
+  /**
+   * Unsubscribe a handler
+   */
+  off(type, handler) {
+    const handlers = this.handlers.get(type)
+    if (!handlers) return
+
+    const index = handlers.indexOf(handler)
+    if (index >= 0) {
+      handlers.splice(index, 1)
+    }
+  }
+
+  /**
+   * Dispatch an event to its handlers
+   * A failing handler is logged and doesn't stop the others (or the simulation).
+   */
+  emit(type, payload = {}) {
+    const handlers = this.handlers.get(type)
+    if (!handlers || handlers.length === 0) return
+
+    // Copy so handlers can unsubscribe while being called
+    for (const handler of [...handlers]) {
+      try {
+        handler(payload)
+      } catch (error) {
+        console.error(`Error in ${type} handler:`, error)
+      }
+    }
+  }
+
+  /**
+   * Remove all handlers
+   */
+  clear() {
+    this.handlers.clear()
+  }
+}
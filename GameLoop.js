@@ -0,0 +1,152 @@
+// GameLoop.js - Fixed-timestep simulation loop with render interpolation
+
+export const TICK_RATE = 16 // Simulation ticks per game second
+export const TICK_DURATION = 1000 / TICK_RATE // Milliseconds of game time per tick
+export const MAX_FRAME_TIME = 250 // Clamp long frames (tab switches, breakpoints) to avoid a catch-up spiral
+
+/**
+ * Game speed presets, matching the classic RTS speed settings
+ * Multipliers are relative to Normal (Slowest ~167ms per tick ... Fastest ~42ms per tick)
+ */
+export const GAME_SPEEDS = [
+  { name: 'Slowest', multiplier: 0.4 },
+  { name: 'Slower', multiplier: 0.6 },
+  { name: 'Slow', multiplier: 0.8 },
+  { name: 'Normal', multiplier: 1.0 },
+  { name: 'Fast', multiplier: 1.2 },
+  { name: 'Faster', multiplier: 1.4 },
+  { name: 'Fastest', multiplier: 1.6 }
+]
+export const DEFAULT_SPEED_INDEX = 3 // Normal
+
+/**
+ * GameLoop class - Drives the simulation at a fixed tick rate
+ * Wall-clock frame time is accumulated and consumed in whole ticks, so the
+ * simulation advances identically regardless of the display refresh rate.
+ * Rendering happens once per animation frame with an interpolation factor
+ * describing how far we are between the previous and the next tick.
+ *
+ * Pausing and game speed only affect the simulation: the frame and render
+ * callbacks keep running so the UI, cursor and map editor stay responsive.
+ */
+export class GameLoop {
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.tick - Called once per simulation tick with (tickDuration)
+   * @param {Function} callbacks.frame - Called once per animation frame with (frameTime) for wall-clock work
+   * @param {Function} callbacks.render - Called once per animation frame with (alpha) in [0, 1)
+   */
+  constructor({ tick, frame = null, render }) {
+    this.tick = tick
+    this.frame = frame
+    this.render = render
+    this.tickDuration = TICK_DURATION
+    this.accumulator = 0
+    this.lastTime = 0
+    this.running = false
+    this.rafId = null
+
+    // Simulation speed controls
+    this.paused = false
+    this.speedIndex = DEFAULT_SPEED_INDEX
+  }
+
+  /**
+   * Start the loop
+   */
+  start() {
+    if (this.running) return
+
+    this.running = true
+    this.accumulator = 0
+    this.lastTime = performance.now()
+    this.rafId = requestAnimationFrame(time => this.loop(time))
+  }
+
+  /**
+   * Stop the loop
+   */
+  stop() {
+    this.running = false
+    if (this.rafId !== null) {
+      cancelAnimationFrame(this.rafId)
+      this.rafId = null
+    }
+  }
+
+  /**
+   * Per-frame callback - runs as many whole ticks as the elapsed time allows
+   */
+  loop(currentTime) {
+    if (!this.running) return
+
+    const frameTime = Math.min(currentTime - this.lastTime, MAX_FRAME_TIME)
+    this.lastTime = currentTime
+
+    if (this.frame) {
+      this.frame(frameTime)
+    }
+
+    if (!this.paused) {
+      this.accumulator += frameTime * this.getSpeed().multiplier
+      while (this.accumulator >= this.tickDuration) {
+        this.tick(this.tickDuration)
+        this.accumulator -= this.tickDuration
+      }
+    }
+
+    // While paused, show the latest tick rather than a point between ticks
+    this.render(this.paused ? 1 : this.accumulator / this.tickDuration)
+
+    this.rafId = requestAnimationFrame(time => this.loop(time))
+  }
+
+  /**
+   * Pause or resume the simulation
+   */
+  setPaused(paused) {
+    this.paused = paused
+    console.log(`Simulation ${this.paused ? 'paused' : 'resumed'}`)
+    return this.paused
+  }
+
+  /**
+   * Toggle pause state
+   */
+  togglePause() {
+    return this.setPaused(!this.paused)
+  }
+
+  /**
+   * Advance exactly one tick (only while paused)
+   */
+  stepOnce() {
+    if (!this.paused) return false
+
+    this.tick(this.tickDuration)
+    return true
+  }
+
+  /**
+   * Set the game speed preset by index into GAME_SPEEDS
+   */
+  setSpeedIndex(index) {
+    this.speedIndex = Math.max(0, Math.min(GAME_SPEEDS.length - 1, index))
+    console.log(`Game speed: ${this.getSpeed().name}`)
+    return this.speedIndex
+  }
+
+  /**
+   * Step the game speed up or down by the given number of presets
+   */
+  changeSpeed(delta) {
+    return this.setSpeedIndex(this.speedIndex + delta)
+  }
+
+  /**
+   * Get the current speed preset
+   */
+  getSpeed() {
+    return GAME_SPEEDS[this.speedIndex]
+  }
+}
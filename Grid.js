@@ -120,12 +120,19 @@ export class Grid {
 
   /**
    * Draw the grid
+   * @param {Object} bounds - Visible world rectangle ({ left, top, right, bottom }); only
+   *   tiles inside it are drawn. Draws the whole grid when omitted.
    */
-  draw(ctx, showGrid = true, showBlocked = true) {
+  draw(ctx, showGrid = true, showBlocked = true, bounds = null) {
+    // Limit drawing to the visible tiles
+    const startX = bounds ? Math.max(0, Math.floor(bounds.left / this.tileSize)) : 0
+    const startY = bounds ? Math.max(0, Math.floor(bounds.top / this.tileSize)) : 0
+    const endX = bounds ? Math.min(this.cols, Math.ceil(bounds.right / this.tileSize)) : this.cols
+    const endY = bounds ? Math.min(this.rows, Math.ceil(bounds.bottom / this.tileSize)) : this.rows
+
     // Draw tiles
-    for (let y = 0; y < this.rows; y++) {
-      for (let x = 0; x < this.cols; x++) {
-        const worldPos = this.gridToWorld(x, y)
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
         const tileX = x * this.tileSize
         const tileY = y * this.tileSize
 
@@ -0,0 +1,93 @@
+// Healing.js - Healing sources: transfuse and healing pools
+
+// Health restored instantly by a transfuse
+export const TRANSFUSE_AMOUNT = 75
+
+// Healing pools: area heal over time
+export const HEALING_POOL_RADIUS = 60 // Pixels
+export const HEALING_POOL_RATE = 12 // Health per second to each unit inside
+export const HEALING_POOL_DURATION = 8000 // Milliseconds
+
+// Why a unit's health changed (carried by unitDamaged/unitHealed events)
+export const HealthChangeCause = {
+  ATTACK: 'attack',
+  REGENERATION: 'regeneration',
+  TRANSFUSE: 'transfuse',
+  HEALING_POOL: 'healingPool',
+  STATUS_EFFECT: 'statusEffect', // Damage over time (see StatusEffects.js)
+  HEAL: 'heal' // Anything else
+}
+
+/**
+ * HealingArea class - A healing pool on the ground
+ * Heals every living unit of its owner and the owner's allies inside its
+ * radius each tick until it expires. A neutral pool (owner null) heals anyone.
+ */
+export class HealingArea {
+  constructor({ id, x, y, owner = null, radius = HEALING_POOL_RADIUS, rate = HEALING_POOL_RATE, duration = HEALING_POOL_DURATION }) {
+    this.id = id
+    this.x = x
+    this.y = y
+    this.owner = owner
+    this.radius = radius
+    this.rate = rate
+    this.duration = duration
+    this.remaining = duration // Milliseconds left
+  }
+
+  /**
+   * Heal the units inside for one tick
+   * @param {SpatialHash} spatialHash - Index of the simulation's units
+   * @param {AllianceMatrix} alliances - Decides who counts as friendly
+   */
+  update(deltaTime, spatialHash, alliances) {
+    const amount = this.rate * deltaTime / 1000
+    spatialHash.queryRadius(this.x, this.y, this.radius).forEach(unit => {
+      if (unit.isAlive() && this.heals(unit, alliances)) {
+        unit.heal(amount, null, HealthChangeCause.HEALING_POOL)
+      }
+    })
+
+    this.remaining -= deltaTime
+  }
+
+  /**
+   * Check if the pool heals a unit (its owner's and allied units)
+   */
+  heals(unit, alliances) {
+    if (this.owner === null) return true
+    return unit.owner !== null && alliances.isAllied(this.owner, unit.owner)
+  }
+
+  /**
+   * Check if the pool has run out
+   */
+  isExpired() {
+    return this.remaining <= 0
+  }
+
+  /**
+   * Serialize the pool for save games
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      x: this.x,
+      y: this.y,
+      owner: this.owner,
+      radius: this.radius,
+      rate: this.rate,
+      duration: this.duration,
+      remaining: this.remaining
+    }
+  }
+
+  /**
+   * Create a pool from toJSON() data
+   */
+  static fromJSON(data) {
+    const area = new HealingArea(data)
+    area.remaining = data.remaining
+    return area
+  }
+}
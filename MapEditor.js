@@ -1,9 +1,13 @@
 // MapEditor.js - Map editing tools and UI
 
+import { CommandType } from './Simulation.js'
+import { unitTypes, DEFAULT_UNIT_TYPE } from './UnitTypes.js'
+
 export class MapEditor {
   constructor(grid) {
     this.grid = grid
     this.game = null // Will be set later
+    this.commandHandler = null // Receives tile edits as commands (for recording)
     this.isActive = false
     this.currentTool = 'wall' // wall, eraser, unit
     this.brushSize = 1
@@ -19,6 +23,7 @@ export class MapEditor {
     this.selectedUnitColor = 'red' // Default color palette for units
     this.availableColors = ['red', 'blue', 'green', 'yellow', 'orange', 'cyan', 'purple', 'pink', 'teal', 'brown', 'white', 'black', 'gray', 'magenta']
     this.colorIndex = 0 // Current color index
+    this.selectedUnitType = DEFAULT_UNIT_TYPE // Unit type placed (and spawned with Space)
     
     // UI elements
     this.panel = document.getElementById('mapEditorPanel')
@@ -45,7 +50,7 @@ export class MapEditor {
         e.preventDefault()
         e.stopPropagation()
         console.log(`Button clicked: ${target.dataset.action}`)
-        this.handleButtonClick(target.dataset.action, target.dataset.color, this.game)
+        this.handleButtonClick(target.dataset.action, target.dataset.color || target.dataset.unitType, this.game)
       }
     })
     
@@ -59,6 +64,38 @@ export class MapEditor {
   setGame(game) {
     this.game = game
   }
+  
+  /**
+   * Set the grid being edited (e.g. after the simulation is replaced)
+   */
+  setGrid(grid) {
+    this.grid = grid
+  }
+  
+  /**
+   * Route tile edits through a command handler instead of writing the grid directly
+   * @param {Function} handler - Called with { type: CommandType.SET_TILES, tiles: [{ x, y, value }] }
+   */
+  setCommandHandler(handler) {
+    this.commandHandler = handler
+  }
+  
+  /**
+   * Apply tile changes, skipping tiles that already have the requested value
+   * @param {Array} tiles - Array of { x, y, value }
+   */
+  applyTileChanges(tiles) {
+    const changes = tiles.filter(tile =>
+      this.grid.isValidTile(tile.x, tile.y) && this.grid.getTile(tile.x, tile.y) !== tile.value
+    )
+    if (changes.length === 0) return
+    
+    if (this.commandHandler) {
+      this.commandHandler({ type: CommandType.SET_TILES, tiles: changes })
+    } else {
+      changes.forEach(tile => this.grid.setTile(tile.x, tile.y, tile.value))
+    }
+  }
 
   /**
    * Toggle editor mode
@@ -164,6 +201,27 @@ export class MapEditor {
     this.updateUI()
   }
   
+  /**
+   * Select a color palette by name (restoring a save game)
+   */
+  setSelectedColor(color) {
+    const index = this.availableColors.indexOf(color)
+    if (index < 0) return
+    this.colorIndex = index
+    this.selectedUnitColor = color
+    this.updateUI()
+  }
+  
+  /**
+   * Select the unit type to place by id (ignores unregistered types)
+   */
+  setSelectedUnitType(typeId) {
+    if (!unitTypes.has(typeId)) return
+    this.selectedUnitType = typeId
+    console.log(`Selected unit type: ${typeId}`)
+    this.updateUI()
+  }
+  
   /**
    * Move background image
    */
@@ -207,29 +265,24 @@ export class MapEditor {
         data: {
           gridX,
           gridY,
-          color: this.selectedUnitColor
+          color: this.selectedUnitColor,
+          unitType: this.selectedUnitType
         }
       }
     }
     
     // Normal tile editing
     const halfBrush = Math.floor(this.brushSize / 2)
+    const value = this.currentTool === 'wall' ? 1 : 0 // Wall = blocked, eraser = walkable
+    const tiles = []
     
     for (let dy = -halfBrush; dy <= halfBrush; dy++) {
       for (let dx = -halfBrush; dx <= halfBrush; dx++) {
-        const x = gridX + dx
-        const y = gridY + dy
-        
-        if (this.grid.isValidTile(x, y)) {
-          if (this.currentTool === 'wall') {
-            this.grid.setTile(x, y, 1) // Blocked
-          } else if (this.currentTool === 'eraser') {
-            this.grid.setTile(x, y, 0) // Walkable
-          }
-        }
+        tiles.push({ x: gridX + dx, y: gridY + dy, value })
       }
     }
     
+    this.applyTileChanges(tiles)
     return { action: 'tile' }
   }
 
@@ -264,13 +317,30 @@ export class MapEditor {
    * Clear entire map
    */
   clearMap() {
+    const tiles = []
     for (let y = 0; y < this.grid.rows; y++) {
       for (let x = 0; x < this.grid.cols; x++) {
-        this.grid.setTile(x, y, 0)
+        tiles.push({ x, y, value: 0 })
       }
     }
+    this.applyTileChanges(tiles)
     console.log('Map cleared')
   }
+  
+  /**
+   * Replace the whole map with the given blocked tiles
+   * @param {Array} blockedTiles - Array of { x, y }
+   */
+  setBlockedTiles(blockedTiles) {
+    const blocked = new Set(blockedTiles.map(tile => `${tile.x},${tile.y}`))
+    const tiles = []
+    for (let y = 0; y < this.grid.rows; y++) {
+      for (let x = 0; x < this.grid.cols; x++) {
+        tiles.push({ x, y, value: blocked.has(`${x},${y}`) ? 1 : 0 })
+      }
+    }
+    this.applyTileChanges(tiles)
+  }
 
   /**
    * Save current map
@@ -310,13 +380,8 @@ export class MapEditor {
 
     const mapData = this.savedMaps[index]
     
-    // Clear current map
-    this.clearMap()
-    
-    // Load tiles
-    mapData.tiles.forEach(tile => {
-      this.grid.setTile(tile.x, tile.y, 1)
-    })
+    // Replace current map with the saved tiles
+    this.setBlockedTiles(mapData.tiles)
 
     console.log(`Map loaded: ${mapData.name}`)
     return true
@@ -381,12 +446,7 @@ export class MapEditor {
       }
 
       // Clear and load
-      this.clearMap()
-      mapData.tiles.forEach(tile => {
-        if (this.grid.isValidTile(tile.x, tile.y)) {
-          this.grid.setTile(tile.x, tile.y, 1)
-        }
-      })
+      this.setBlockedTiles(mapData.tiles)
 
       console.log(`Map imported: ${mapData.name || 'Unnamed'}`)
       return true
@@ -503,7 +563,19 @@ export class MapEditor {
                      title="${color}"></div>`
       }).join('')
       
+      const typeButtons = unitTypes.getAll().map(definition => {
+        const isSelected = definition.id === this.selectedUnitType
+        return `<button class="editor-btn ${isSelected ? 'active' : ''}"
+                        data-action="selectUnitType"
+                        data-unit-type="${definition.id}">${definition.name}</button>`
+      }).join('')
+      
       html = `
+        <div class="section-title">UNIT TYPE:</div>
+        <div class="button-group">
+          ${typeButtons}
+        </div>
+        
         <div class="info-section">
           <div class="info-line">Selected Color:</div>
           <div class="color-preview" style="background-color: ${this.getColorHex(this.selectedUnitColor)}"></div>
@@ -571,7 +643,7 @@ export class MapEditor {
   /**
    * Handle button click actions
    */
-  handleButtonClick(action, colorData, game) {
+  handleButtonClick(action, value, game) {
     // Use stored game reference if not provided
     const gameRef = game || this.game
     
@@ -636,13 +708,18 @@ export class MapEditor {
         this.nextColor()
         break
       case 'selectColor':
-        if (colorData) {
-          this.colorIndex = this.availableColors.indexOf(colorData)
-          this.selectedUnitColor = colorData
+        if (value) {
+          this.colorIndex = this.availableColors.indexOf(value)
+          this.selectedUnitColor = value
           console.log(`Selected color: ${this.selectedUnitColor}`)
           this.updateUI(gameRef)
         }
         break
+      case 'selectUnitType':
+        if (value) {
+          this.setSelectedUnitType(value)
+        }
+        break
       case 'exitUnitMode':
         this.toggleUnitPlacementMode()
         break
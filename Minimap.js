@@ -0,0 +1,120 @@
+// Minimap.js - Overview of the whole world: terrain, units and the camera view
+
+import { getPaletteColor } from './ColorShader.js'
+
+export const MINIMAP_SIZE = 160 // Longest side of the minimap in pixels
+const UNIT_DOT_SIZE = 3
+const UNIT_PICK_RADIUS = 4 // Minimap pixels around a dot that count as clicking the unit
+
+/**
+ * Minimap class - Draws a scaled-down world on its own canvas
+ * The world is fitted into MINIMAP_SIZE keeping its aspect ratio. Input is
+ * handled by the game, which uses minimapToWorld() to turn clicks into camera
+ * jumps and unit commands.
+ */
+export class Minimap {
+  constructor(canvas) {
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+    this.scale = 1
+    this.worldWidth = 0
+    this.worldHeight = 0
+    this.isDragging = false // Left button held (camera follows the mouse)
+  }
+
+  /**
+   * Fit the minimap to a world size
+   */
+  setWorldSize(worldWidth, worldHeight) {
+    if (worldWidth === this.worldWidth && worldHeight === this.worldHeight) return
+
+    this.worldWidth = worldWidth
+    this.worldHeight = worldHeight
+    this.scale = MINIMAP_SIZE / Math.max(worldWidth, worldHeight)
+    this.canvas.width = Math.round(worldWidth * this.scale)
+    this.canvas.height = Math.round(worldHeight * this.scale)
+  }
+
+  /**
+   * Convert minimap pixel coordinates to world coordinates
+   */
+  minimapToWorld(minimapX, minimapY) {
+    return {
+      x: Math.max(0, Math.min(this.worldWidth - 1, minimapX / this.scale)),
+      y: Math.max(0, Math.min(this.worldHeight - 1, minimapY / this.scale))
+    }
+  }
+
+  /**
+   * Find the unit whose dot is under a minimap position
+   * @param {Function} filter - Only consider units it accepts (e.g. those the viewer can see)
+   * @returns {Unit|null} Closest living unit within the pick radius
+   */
+  getUnitAt(simulation, minimapX, minimapY, filter = null) {
+    const world = this.minimapToWorld(minimapX, minimapY)
+    const maxDistance = UNIT_PICK_RADIUS / this.scale
+    let closest = null
+    let closestDistance = maxDistance
+
+    simulation.getUnitsInRadius(world.x, world.y, maxDistance).forEach(unit => {
+      if (!unit.isAlive() || (filter && !filter(unit))) return
+      const distance = Math.hypot(unit.x - world.x, unit.y - world.y)
+      if (distance <= closestDistance) {
+        closest = unit
+        closestDistance = distance
+      }
+    })
+
+    return closest
+  }
+
+  /**
+   * Draw terrain, units and the camera rectangle
+   * @param {Function} filter - Only draw units it accepts (e.g. those the viewer can see)
+   */
+  draw(simulation, camera, filter = null) {
+    const ctx = this.ctx
+    const grid = simulation.grid
+    this.setWorldSize(grid.width, grid.height)
+
+    // Background
+    ctx.fillStyle = '#000000'
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
+
+    // Blocked tiles
+    const tileSize = grid.tileSize * this.scale
+    ctx.fillStyle = 'rgba(180, 40, 40, 0.8)'
+    for (let y = 0; y < grid.rows; y++) {
+      for (let x = 0; x < grid.cols; x++) {
+        if (grid.getTile(x, y) === 1) {
+          ctx.fillRect(x * tileSize, y * tileSize, Math.ceil(tileSize), Math.ceil(tileSize))
+        }
+      }
+    }
+
+    // Units as dots in their palette color (selected units get a white outline)
+    simulation.units.forEach(unit => {
+      if (!unit.isAlive() || (filter && !filter(unit))) return
+
+      const dotX = Math.round(unit.x * this.scale - UNIT_DOT_SIZE / 2)
+      const dotY = Math.round(unit.y * this.scale - UNIT_DOT_SIZE / 2)
+      if (unit.selected) {
+        ctx.fillStyle = '#ffffff'
+        ctx.fillRect(dotX - 1, dotY - 1, UNIT_DOT_SIZE + 2, UNIT_DOT_SIZE + 2)
+      }
+      ctx.fillStyle = getPaletteColor(unit.colorPalette)
+      ctx.fillRect(dotX, dotY, UNIT_DOT_SIZE, UNIT_DOT_SIZE)
+    })
+
+    // Camera view
+    const view = camera.getVisibleBounds()
+    ctx.strokeStyle = '#ffffff'
+    ctx.lineWidth = 1
+    ctx.strokeRect(
+      Math.round(view.left * this.scale) + 0.5,
+      Math.round(view.top * this.scale) + 0.5,
+      Math.round((view.right - view.left) * this.scale) - 1,
+      Math.round((view.bottom - view.top) * this.scale) - 1
+    )
+  }
+}
@@ -1,5 +1,7 @@
 // Pathfinding.js - A* pathfinding algorithm
 
+import { perfCounters } from './PerfCounters.js'
+
 /**
  * Node class for A* algorithm
  */
@@ -43,6 +45,8 @@ function heuristicDiagonal(x1, y1, x2, y2) {
  * @returns {Array} Path as array of {x, y} grid coordinates, or null if no path found
  */
 export function findPath(grid, start, goal, diagonal = true) {
+  perfCounters.pathfindingCalls++
+
   // Validate start - start doesn't need to be walkable (unit might be on obstacle)
   // But goal must be walkable
   if (!grid.isWalkable(goal.x, goal.y)) {
@@ -86,6 +90,7 @@ export function findPath(grid, start, goal, diagonal = true) {
     }
 
     const current = openList[currentIndex]
+    perfCounters.nodesExpanded++
 
     // Check if we reached the goal
     if (current.x === goal.x && current.y === goal.y) {
@@ -0,0 +1,21 @@
+// PerfCounters.js - Cheap work counters read by the performance overlay
+
+/**
+ * Counters incremented by hot code paths (pathfinding, collision)
+ * They only measure work and never feed back into the simulation. The
+ * performance overlay reads and resets them once per frame.
+ */
+export const perfCounters = {
+  pathfindingCalls: 0, // findPath() calls
+  nodesExpanded: 0, // A* nodes taken off the open list
+  collisionChecks: 0 // Unit-vs-unit overlap tests
+}
+
+/**
+ * Reset all counters to zero
+ */
+export function resetPerfCounters() {
+  for (const key of Object.keys(perfCounters)) {
+    perfCounters[key] = 0
+  }
+}
@@ -0,0 +1,147 @@
+// PerformanceOverlay.js - Debug overlay with frame timing, work counters and a rolling graph
+
+import { perfCounters, resetPerfCounters } from './PerfCounters.js'
+
+const HISTORY_SIZE = 120 // Frames shown in the graph
+const PANEL_WIDTH = 200
+const GRAPH_HEIGHT = 40
+const GRAPH_MAX_MS = 33.3 // Graph height in milliseconds (30 FPS)
+const TARGET_FRAME_MS = 1000 / 60
+
+/**
+ * PerformanceOverlay class - Collects per-frame statistics and draws them
+ * The game reports update and render durations as they happen; endFrame()
+ * closes the frame, samples the work counters (A* calls and nodes, collision
+ * checks) and resets them, so every number shown is "per frame".
+ */
+export class PerformanceOverlay {
+  constructor() {
+    this.history = [] // { frameTime, update, render } per frame, oldest first
+    this.current = { update: 0, render: 0 }
+    this.last = {
+      frameTime: 0,
+      update: 0,
+      render: 0,
+      pathfindingCalls: 0,
+      nodesExpanded: 0,
+      collisionChecks: 0
+    }
+  }
+
+  /**
+   * Add time spent in simulation ticks this frame (called once per tick)
+   */
+  recordUpdate(ms) {
+    this.current.update += ms
+  }
+
+  /**
+   * Add time spent rendering this frame
+   */
+  recordRender(ms) {
+    this.current.render += ms
+  }
+
+  /**
+   * Close the previous frame and sample its counters
+   * @param {number} frameTime - Milliseconds between the previous frame and this one
+   */
+  endFrame(frameTime) {
+    this.last = {
+      frameTime,
+      update: this.current.update,
+      render: this.current.render,
+      ...perfCounters
+    }
+    resetPerfCounters()
+
+    this.history.push({ frameTime, update: this.current.update, render: this.current.render })
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift()
+    }
+    this.current = { update: 0, render: 0 }
+  }
+
+  /**
+   * Average frames per second over the graph history
+   */
+  getFPS() {
+    if (this.history.length === 0) return 0
+    const total = this.history.reduce((sum, frame) => sum + frame.frameTime, 0)
+    return total > 0 ? (this.history.length * 1000) / total : 0
+  }
+
+  /**
+   * Draw the overlay with its bottom-right corner at (right, bottom)
+   * @param {Object} extra - Additional stats to show ({ units, cacheSize, cacheMemory })
+   */
+  draw(ctx, right, bottom, extra = {}) {
+    const left = right - PANEL_WIDTH
+    const lines = [
+      `FPS: ${this.getFPS().toFixed(0)} (${this.last.frameTime.toFixed(1)} ms)`,
+      `Update: ${this.last.update.toFixed(2)} ms`,
+      `Render: ${this.last.render.toFixed(2)} ms`,
+      `A*: ${this.last.pathfindingCalls} calls, ${this.last.nodesExpanded} nodes`,
+      `Collision checks: ${this.last.collisionChecks}`,
+      `Units: ${extra.units ?? '-'}`,
+      `Sprite cache: ${extra.cacheSize ?? '-'} (${formatBytes(extra.cacheMemory ?? 0)})`
+    ]
+    const lineHeight = 13
+    const height = lines.length * lineHeight + GRAPH_HEIGHT + 16
+    const y = bottom - height
+
+    ctx.save()
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)'
+    ctx.fillRect(left, y, PANEL_WIDTH, height)
+    ctx.strokeStyle = '#003300'
+    ctx.lineWidth = 1
+    ctx.strokeRect(left + 0.5, y + 0.5, PANEL_WIDTH - 1, height - 1)
+
+    // Text
+    ctx.fillStyle = '#00ff00'
+    ctx.font = '10px "Courier New"'
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'top'
+    lines.forEach((line, i) => {
+      ctx.fillText(line, left + 6, y + 5 + i * lineHeight)
+    })
+
+    // Rolling graph: update (cyan) stacked under render (yellow), newest on the right
+    const graphTop = y + 8 + lines.length * lineHeight
+    const graphLeft = left + 6
+    const graphWidth = PANEL_WIDTH - 12
+    const barWidth = graphWidth / HISTORY_SIZE
+    const msToPixels = GRAPH_HEIGHT / GRAPH_MAX_MS
+    const offset = HISTORY_SIZE - this.history.length
+
+    this.history.forEach((frame, i) => {
+      const barX = graphLeft + (offset + i) * barWidth
+      const updateHeight = Math.min(GRAPH_HEIGHT, frame.update * msToPixels)
+      const renderHeight = Math.min(GRAPH_HEIGHT - updateHeight, frame.render * msToPixels)
+
+      ctx.fillStyle = '#00cccc'
+      ctx.fillRect(barX, graphTop + GRAPH_HEIGHT - updateHeight, barWidth, updateHeight)
+      ctx.fillStyle = '#cccc00'
+      ctx.fillRect(barX, graphTop + GRAPH_HEIGHT - updateHeight - renderHeight, barWidth, renderHeight)
+    })
+
+    // 60 FPS budget line
+    const budgetY = Math.round(graphTop + GRAPH_HEIGHT - TARGET_FRAME_MS * msToPixels) + 0.5
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)'
+    ctx.beginPath()
+    ctx.moveTo(graphLeft, budgetY)
+    ctx.lineTo(graphLeft + graphWidth, budgetY)
+    ctx.stroke()
+
+    ctx.restore()
+  }
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${bytes} B`
+}
@@ -0,0 +1,196 @@
+// Player.js - Players, team colors, resources, upgrades and alliances
+
+import { getUpgrade, getResearchCost } from './Upgrades.js'
+
+/**
+ * Players every new match starts with
+ * Player 1 is the local player by default; Player 3 is allied with Player 1.
+ */
+export const DEFAULT_PLAYERS = [
+  { id: 1, name: 'Player 1', colorPalette: 'red' },
+  { id: 2, name: 'Player 2', colorPalette: 'blue' },
+  { id: 3, name: 'Player 3', colorPalette: 'green' }
+]
+export const DEFAULT_ALLIANCES = [[1, 3]]
+
+// Resources every player starts with (there is no harvesting yet)
+export const STARTING_MINERALS = 1000
+export const STARTING_GAS = 1000
+
+/**
+ * Player class - A participant that owns units
+ * Also holds the player's resources, researched upgrade levels and research
+ * in progress. Research runs on the simulation tick; the Simulation applies
+ * finished levels to the player's units.
+ */
+export class Player {
+  /**
+   * @param {Object} config
+   * @param {number} config.id - Unique player id (units store it as their owner)
+   * @param {string} config.name - Display name
+   * @param {string} config.colorPalette - Team color (COLOR_PALETTES key) given to the player's units
+   * @param {number} config.minerals - Starting minerals
+   * @param {number} config.gas - Starting gas
+   * @param {Object} config.upgrades - Researched levels by upgrade id
+   * @param {Array} config.research - Research in progress ({ upgradeId, level, remaining, duration })
+   */
+  constructor({ id, name, colorPalette, minerals = STARTING_MINERALS, gas = STARTING_GAS, upgrades = {}, research = [] }) {
+    this.id = id
+    this.name = name
+    this.colorPalette = colorPalette
+    this.minerals = minerals
+    this.gas = gas
+    this.upgrades = { ...upgrades }
+    this.research = research.map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Get the researched level of an upgrade (0 if never researched)
+   */
+  getUpgradeLevel(upgradeId) {
+    return this.upgrades[upgradeId] || 0
+  }
+
+  /**
+   * Get the research in progress for an upgrade
+   * @returns {Object|null} { upgradeId, level, remaining, duration }
+   */
+  getResearch(upgradeId) {
+    return this.research.find(entry => entry.upgradeId === upgradeId) || null
+  }
+
+  /**
+   * Check if the player can start researching the next level of an upgrade
+   * @returns {boolean} False if the upgrade is unknown, maxed, already being researched or unaffordable
+   */
+  canResearch(upgradeId) {
+    const upgrade = getUpgrade(upgradeId)
+    if (!upgrade || this.getResearch(upgradeId)) return false
+
+    const cost = getResearchCost(upgrade, this.getUpgradeLevel(upgradeId) + 1)
+    return cost !== null && this.minerals >= cost.minerals && this.gas >= cost.gas
+  }
+
+  /**
+   * Pay for the next level of an upgrade and start researching it
+   * @returns {boolean} False if it can't be researched (see canResearch)
+   */
+  startResearch(upgradeId) {
+    if (!this.canResearch(upgradeId)) return false
+
+    const level = this.getUpgradeLevel(upgradeId) + 1
+    const { minerals, gas, researchTime } = getResearchCost(getUpgrade(upgradeId), level)
+    this.minerals -= minerals
+    this.gas -= gas
+    this.research.push({ upgradeId, level, remaining: researchTime, duration: researchTime })
+    return true
+  }
+
+  /**
+   * Stop researching an upgrade and get its cost back
+   * @returns {boolean} False if it isn't being researched
+   */
+  cancelResearch(upgradeId) {
+    const entry = this.getResearch(upgradeId)
+    if (!entry) return false
+
+    const { minerals, gas } = getResearchCost(getUpgrade(upgradeId), entry.level)
+    this.minerals += minerals
+    this.gas += gas
+    this.research = this.research.filter(other => other !== entry)
+    return true
+  }
+
+  /**
+   * Advance research by one tick and record the levels that finished
+   * @returns {Array} Finished research ({ upgradeId, level })
+   */
+  updateResearch(deltaTime) {
+    const finished = []
+    this.research.forEach(entry => {
+      entry.remaining -= deltaTime
+      if (entry.remaining <= 0) {
+        this.upgrades[entry.upgradeId] = entry.level
+        finished.push({ upgradeId: entry.upgradeId, level: entry.level })
+      }
+    })
+    this.research = this.research.filter(entry => entry.remaining > 0)
+    return finished
+  }
+
+  /**
+   * Serialize the player for save games
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      colorPalette: this.colorPalette,
+      minerals: this.minerals,
+      gas: this.gas,
+      upgrades: { ...this.upgrades },
+      research: this.research.map(entry => ({ ...entry }))
+    }
+  }
+
+  /**
+   * Create a player from toJSON() data
+   */
+  static fromJSON(data) {
+    return new Player(data)
+  }
+}
+
+/**
+ * AllianceMatrix class - Symmetric ally/enemy relation between players
+ * Every player is allied with itself; any pair not marked allied is hostile.
+ */
+export class AllianceMatrix {
+  constructor() {
+    this.allied = new Set() // "lowId:highId" keys of allied pairs
+  }
+
+  /**
+   * Get the key for a pair of players (order independent)
+   */
+  getKey(playerA, playerB) {
+    return playerA < playerB ? `${playerA}:${playerB}` : `${playerB}:${playerA}`
+  }
+
+  /**
+   * Set whether two players are allied
+   */
+  setAllied(playerA, playerB, allied = true) {
+    if (playerA === playerB) return
+
+    const key = this.getKey(playerA, playerB)
+    if (allied) {
+      this.allied.add(key)
+    } else {
+      this.allied.delete(key)
+    }
+  }
+
+  /**
+   * Check if two players are allied (a player is always allied with itself)
+   */
+  isAllied(playerA, playerB) {
+    return playerA === playerB || this.allied.has(this.getKey(playerA, playerB))
+  }
+
+  /**
+   * Serialize as a list of allied [playerA, playerB] pairs
+   */
+  toJSON() {
+    return [...this.allied].map(key => key.split(':').map(Number))
+  }
+
+  /**
+   * Create a matrix from a list of allied pairs
+   */
+  static fromJSON(pairs) {
+    const matrix = new AllianceMatrix()
+    pairs.forEach(([playerA, playerB]) => matrix.setAllied(playerA, playerB))
+    return matrix
+  }
+}
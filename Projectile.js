@@ -0,0 +1,263 @@
+// Projectile.js - Ranged attack projectiles (simulation only, see ProjectileRenderer.js for drawing)
+
+import { GameEvent } from './EventBus.js'
+import { DamageType, resolveDamage } from './Damage.js'
+
+/**
+ * How a projectile flies
+ */
+export const ProjectileMode = {
+  HOMING: 'homing', // Tracks its target and always hits unless the target dies first
+  BALLISTIC: 'ballistic' // Flies to where the target was at launch; misses if the target moved away
+}
+
+/**
+ * Projectile class - A shot in flight from one unit to another
+ * Damage is fixed at launch and resolved against the target's armor and
+ * size on impact, so a shot still lands after its source has died. Holds
+ * unit references; the ProjectileManager stores them by id in save games.
+ */
+export class Projectile {
+  /**
+   * @param {Object} config
+   * @param {string} config.id - Unique projectile id
+   * @param {Unit} config.source - Unit that fired it
+   * @param {Unit} config.target - Unit it was fired at
+   * @param {Object} config.weapon - The source's projectile definition (type, mode, speed, hitRadius, arcHeight, impact)
+   * @param {number} config.damage - Damage dealt on hit (before armor)
+   * @param {string} config.damageType - DamageType of the hit
+   */
+  constructor({ id, source, target, weapon, damage, damageType = DamageType.NORMAL, x, y }) {
+    this.id = id
+    this.type = weapon.type || 'projectile' // Visual style key for the renderer
+    this.mode = weapon.mode || ProjectileMode.HOMING
+    this.speed = weapon.speed || 400 // Pixels per second
+    this.hitRadius = weapon.hitRadius || 0 // Extra slack around the target for ballistic hits
+    this.arcHeight = weapon.arcHeight || 0 // Peak height of the drawn arc (visual only)
+    this.impact = weapon.impact || null // Impact effect key for the renderer
+    this.damage = damage
+    this.damageType = damageType
+
+    this.source = source
+    this.owner = source ? source.owner : null
+    this.target = target
+
+    // Position
+    this.x = x
+    this.y = y
+    this.previousX = x // Position at the start of the current tick (for render interpolation)
+    this.previousY = y
+    this.startX = x
+    this.startY = y
+
+    // Destination: the target's position (homing shots update it every tick)
+    this.destX = target ? target.x : x
+    this.destY = target ? target.y : y
+
+    this.done = false
+  }
+
+  /**
+   * Advance the projectile by one tick
+   * @returns {Object|null} Impact ({ hit }) when the projectile arrived this tick
+   */
+  update(deltaTime) {
+    this.previousX = this.x
+    this.previousY = this.y
+
+    // Homing shots follow a living target; once it dies or burrows they fly on to where it was
+    if (this.mode === ProjectileMode.HOMING && this.target && this.target.isTargetable()) {
+      this.destX = this.target.x
+      this.destY = this.target.y
+    }
+
+    const dx = this.destX - this.x
+    const dy = this.destY - this.y
+    const distance = Math.sqrt(dx * dx + dy * dy)
+    const step = this.speed * deltaTime / 1000
+
+    if (distance > step) {
+      this.x += (dx / distance) * step
+      this.y += (dy / distance) * step
+      return null
+    }
+
+    this.x = this.destX
+    this.y = this.destY
+    this.done = true
+    return { hit: this.hitsTarget() }
+  }
+
+  /**
+   * Check if the target is there to be hit at the impact point
+   */
+  hitsTarget() {
+    if (!this.target || !this.target.isTargetable()) {
+      return false
+    }
+    if (this.mode === ProjectileMode.HOMING) {
+      return true
+    }
+
+    const dx = this.target.x - this.x
+    const dy = this.target.y - this.y
+    const reach = this.target.collisionRadius + this.hitRadius
+    return dx * dx + dy * dy <= reach * reach
+  }
+
+  /**
+   * Get flight progress from launch (0) to impact (1)
+   */
+  getProgress() {
+    const total = Math.hypot(this.destX - this.startX, this.destY - this.startY)
+    if (total === 0) return 1
+    const travelled = Math.hypot(this.x - this.startX, this.y - this.startY)
+    return Math.min(1, travelled / total)
+  }
+
+  /**
+   * Get the interpolated position between the previous and current tick
+   * @param {number} alpha - Fraction of a tick elapsed since the last update (0-1)
+   */
+  getRenderPosition(alpha = 1) {
+    return {
+      x: this.previousX + (this.x - this.previousX) * alpha,
+      y: this.previousY + (this.y - this.previousY) * alpha
+    }
+  }
+
+  /**
+   * Serialize the projectile for save games (units are stored by id)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      mode: this.mode,
+      speed: this.speed,
+      hitRadius: this.hitRadius,
+      arcHeight: this.arcHeight,
+      impact: this.impact,
+      damage: this.damage,
+      damageType: this.damageType,
+      sourceId: this.source ? this.source.id : null,
+      owner: this.owner,
+      targetId: this.target ? this.target.id : null,
+      x: this.x,
+      y: this.y,
+      startX: this.startX,
+      startY: this.startY,
+      destX: this.destX,
+      destY: this.destY
+    }
+  }
+
+  /**
+   * Create a projectile from toJSON() data
+   * @param {Function} getUnitById - Resolves stored unit ids (null if the unit is gone)
+   */
+  static fromJSON(data, getUnitById) {
+    const projectile = new Projectile({
+      id: data.id,
+      source: getUnitById(data.sourceId),
+      target: getUnitById(data.targetId),
+      weapon: data,
+      damage: data.damage,
+      damageType: data.damageType,
+      x: data.x,
+      y: data.y
+    })
+    projectile.owner = data.owner
+    projectile.startX = data.startX
+    projectile.startY = data.startY
+    projectile.destX = data.destX
+    projectile.destY = data.destY
+    return projectile
+  }
+}
+
+/**
+ * ProjectileManager class - Projectiles in flight for one simulation
+ * The simulation hands it to every unit it adds; ranged units launch through
+ * it and it applies their damage on impact.
+ */
+export class ProjectileManager {
+  constructor(events = null) {
+    this.events = events
+    this.projectiles = []
+    this.nextProjectileId = 1
+  }
+
+  /**
+   * Fire a unit's projectile at a target
+   * The shot starts at the edge of the source, facing the target.
+   * @returns {Projectile}
+   */
+  launch(source, target) {
+    const dx = target.x - source.x
+    const dy = target.y - source.y
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1
+    const offset = Math.min(source.collisionRadius, distance)
+    const { damage, damageType } = source.getAttack()
+
+    const projectile = new Projectile({
+      id: `projectile_${this.nextProjectileId++}`,
+      source,
+      target,
+      weapon: source.projectile,
+      damage,
+      damageType,
+      x: source.x + (dx / distance) * offset,
+      y: source.y + (dy / distance) * offset
+    })
+    this.projectiles.push(projectile)
+    this.emit(GameEvent.PROJECTILE_LAUNCHED, { projectile, source, target })
+    return projectile
+  }
+
+  /**
+   * Move every projectile and resolve the ones that arrived
+   */
+  update(deltaTime) {
+    this.projectiles.forEach(projectile => {
+      const impact = projectile.update(deltaTime)
+      if (!impact) return
+
+      if (impact.hit) {
+        const { target, source, damage, damageType } = projectile
+        target.takeDamage(resolveDamage({ attacker: source, damage, damageType }, target), source)
+      }
+      this.emit(GameEvent.PROJECTILE_IMPACT, { projectile, target: projectile.target, hit: impact.hit })
+    })
+
+    this.projectiles = this.projectiles.filter(projectile => !projectile.done)
+  }
+
+  /**
+   * Emit a game event if connected to an event bus
+   */
+  emit(type, payload) {
+    if (this.events) {
+      this.events.emit(type, payload)
+    }
+  }
+
+  /**
+   * Serialize projectiles in flight for save games
+   */
+  toJSON() {
+    return {
+      nextProjectileId: this.nextProjectileId,
+      projectiles: this.projectiles.map(projectile => projectile.toJSON())
+    }
+  }
+
+  /**
+   * Restore state written by toJSON()
+   * @param {Function} getUnitById - Resolves stored unit ids
+   */
+  applyJSON(data, getUnitById) {
+    this.nextProjectileId = data.nextProjectileId
+    this.projectiles = data.projectiles.map(projectileData => Projectile.fromJSON(projectileData, getUnitById))
+  }
+}
@@ -0,0 +1,142 @@
+// ProjectileRenderer.js - Drawing for projectiles in flight and their impact effects
+
+import { RenderLayer } from './RenderQueue.js'
+
+// Looks of projectile types (key: projectile.type); unknown types use the default
+const PROJECTILE_STYLES = {
+  spine: { length: 10, width: 2, color: '#d8e070', outline: '#4a3a10' },
+  default: { length: 6, width: 3, color: '#ffffff', outline: '#000000' }
+}
+
+// Impact effects (key: projectile.impact); unknown effects use the default
+const IMPACT_STYLES = {
+  spineImpact: { duration: 250, radius: 10, sparks: 6, color: '#c8d060' },
+  default: { duration: 200, radius: 8, sparks: 0, color: '#ffffff' }
+}
+
+/**
+ * ProjectileRenderer class - Render layer for projectiles
+ * Draws every projectile of a simulation from its state and plays impact
+ * effects. Effects are visual only: they run on wall-clock time and are
+ * never saved, so they don't touch the simulation.
+ */
+export class ProjectileRenderer {
+  constructor() {
+    this.impacts = [] // { x, y, style, startTime }
+  }
+
+  /**
+   * Start an impact effect (subscribed to the simulation's projectileImpact event)
+   */
+  addImpact(projectile, now = performance.now()) {
+    this.impacts.push({
+      x: projectile.x,
+      y: projectile.y,
+      style: IMPACT_STYLES[projectile.impact] || IMPACT_STYLES.default,
+      startTime: now
+    })
+  }
+
+  /**
+   * Drop all running effects (the displayed simulation changed)
+   */
+  clear() {
+    this.impacts = []
+  }
+
+  /**
+   * Submit projectiles and impact effects to the render layers
+   * @param {RenderQueue} queue
+   * @param {Array} projectiles - Projectiles in flight
+   * @param {number} alpha - Render interpolation factor between ticks
+   */
+  submit(queue, projectiles, alpha = 1, now = performance.now()) {
+    projectiles.forEach(projectile => {
+      const pos = projectile.getRenderPosition(alpha)
+      const height = this.getArcHeight(projectile)
+      if (height > 0) {
+        queue.submit(RenderLayer.SHADOWS, ctx => this.drawShadow(ctx, pos), pos.y)
+      }
+      queue.submit(RenderLayer.EFFECTS, ctx => this.drawProjectile(ctx, projectile, pos, height), pos.y)
+    })
+
+    this.impacts = this.impacts.filter(impact => now - impact.startTime < impact.style.duration)
+    this.impacts.forEach(impact => {
+      const progress = (now - impact.startTime) / impact.style.duration
+      queue.submit(RenderLayer.EFFECTS, ctx => this.drawImpact(ctx, impact, progress), impact.y)
+    })
+  }
+
+  /**
+   * Get how high an arcing projectile is drawn above the ground (0 for flat shots)
+   */
+  getArcHeight(projectile) {
+    if (!projectile.arcHeight) return 0
+    const progress = projectile.getProgress()
+    return projectile.arcHeight * 4 * progress * (1 - progress)
+  }
+
+  /**
+   * Draw a projectile pointing along its flight direction
+   */
+  drawProjectile(ctx, projectile, pos, height) {
+    const style = PROJECTILE_STYLES[projectile.type] || PROJECTILE_STYLES.default
+    const angle = Math.atan2(projectile.destY - pos.y, projectile.destX - pos.x)
+
+    ctx.save()
+    ctx.translate(pos.x, pos.y - height)
+    ctx.rotate(angle)
+    ctx.lineCap = 'round'
+
+    // Outline, then the body on top
+    ctx.strokeStyle = style.outline
+    ctx.lineWidth = style.width + 2
+    ctx.beginPath()
+    ctx.moveTo(-style.length / 2, 0)
+    ctx.lineTo(style.length / 2, 0)
+    ctx.stroke()
+
+    ctx.strokeStyle = style.color
+    ctx.lineWidth = style.width
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  /**
+   * Draw the ground shadow of an arcing projectile
+   */
+  drawShadow(ctx, pos) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)'
+    ctx.beginPath()
+    ctx.ellipse(pos.x, pos.y, 4, 2, 0, 0, Math.PI * 2)
+    ctx.fill()
+  }
+
+  /**
+   * Draw an impact effect: an expanding ring plus sparks flying outwards, fading out
+   * @param {number} progress - Effect progress (0-1)
+   */
+  drawImpact(ctx, impact, progress) {
+    const { style } = impact
+    const radius = style.radius * progress
+
+    ctx.save()
+    ctx.globalAlpha = 1 - progress
+    ctx.strokeStyle = style.color
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.arc(impact.x, impact.y, radius, 0, Math.PI * 2)
+    ctx.stroke()
+
+    for (let i = 0; i < style.sparks; i++) {
+      const angle = (i / style.sparks) * Math.PI * 2
+      const cos = Math.cos(angle)
+      const sin = Math.sin(angle)
+      ctx.beginPath()
+      ctx.moveTo(impact.x + cos * radius, impact.y + sin * radius)
+      ctx.lineTo(impact.x + cos * (radius + 4), impact.y + sin * (radius + 4))
+      ctx.stroke()
+    }
+    ctx.restore()
+  }
+}
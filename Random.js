@@ -0,0 +1,66 @@
+// Random.js - Seeded pseudo-random number generator for deterministic simulation
+
+/**
+ * SeededRandom class - Small, fast PRNG (mulberry32)
+ * The same seed always produces the same sequence, so a simulation that
+ * draws all of its randomness from here can be replayed exactly.
+ */
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = seed >>> 0
+    this.state = this.seed
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Next float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min)
+  }
+
+  /**
+   * Next integer in [min, max]
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1))
+  }
+
+  /**
+   * Get the generator state (to save and later resume the sequence)
+   */
+  getState() {
+    return this.state
+  }
+
+  /**
+   * Resume from a state returned by getState()
+   */
+  setState(state) {
+    this.state = state >>> 0
+  }
+
+  /**
+   * Pick a random element from an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)]
+  }
+}
+
+/**
+ * Create a seed for a new match (the only place wall-clock randomness is used)
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0
+}
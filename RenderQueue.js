@@ -0,0 +1,67 @@
+// RenderQueue.js - Ordered render layers with Y-sorting
+
+/**
+ * Render layers, drawn bottom to top in this order
+ */
+export const RenderLayer = {
+  GROUND: 'ground', // Ground decals and corpses
+  SHADOWS: 'shadows',
+  SELECTION: 'selection', // Selection circles
+  UNITS: 'units',
+  EFFECTS: 'effects', // Projectiles, impacts, spell effects
+  HEALTH_BARS: 'healthBars',
+  UI: 'ui' // World-space UI (selection box, brush preview, debug paths)
+}
+
+const LAYER_ORDER = [
+  RenderLayer.GROUND,
+  RenderLayer.SHADOWS,
+  RenderLayer.SELECTION,
+  RenderLayer.UNITS,
+  RenderLayer.EFFECTS,
+  RenderLayer.HEALTH_BARS,
+  RenderLayer.UI
+]
+
+/**
+ * RenderQueue class - Collects draw calls for a frame and plays them back by layer
+ * Renderers submit a draw function to a named layer instead of painting
+ * immediately, so one unit's health bar can never end up under another unit.
+ * Within a layer, calls are drawn by ascending sort Y (the world Y of the
+ * thing being drawn), so units lower on screen overlap the ones above them;
+ * calls with equal Y keep their submission order.
+ */
+export class RenderQueue {
+  constructor() {
+    this.layers = new Map(LAYER_ORDER.map(layer => [layer, []]))
+  }
+
+  /**
+   * Submit a draw call
+   * @param {string} layer - RenderLayer to draw in
+   * @param {Function} draw - Called with the context (must restore any transform it applies)
+   * @param {number} sortY - Depth within the layer (world Y)
+   */
+  submit(layer, draw, sortY = 0) {
+    const calls = this.layers.get(layer)
+    if (!calls) {
+      console.warn(`Unknown render layer: ${layer}`)
+      return
+    }
+    calls.push({ draw, sortY })
+  }
+
+  /**
+   * Draw every submitted call in layer order, then empty the queue
+   */
+  flush(ctx) {
+    for (const calls of this.layers.values()) {
+      // Array.prototype.sort is stable, so equal Y keeps submission order
+      calls.sort((a, b) => a.sortY - b.sortY)
+      for (const call of calls) {
+        call.draw(ctx)
+      }
+      calls.length = 0
+    }
+  }
+}
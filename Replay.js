@@ -0,0 +1,146 @@
+// Replay.js - Command recording and deterministic replay playback
+
+import { Simulation } from './Simulation.js'
+import { TICK_RATE } from './GameLoop.js'
+
+export const REPLAY_VERSION = 1
+
+/**
+ * ReplayRecorder class - Captures every command issued to a simulation
+ * Each entry is the command plus the tick it was applied before. Together
+ * with the simulation's state when recording started (a fresh simulation, or
+ * a loaded save game) that is everything needed to reproduce the match.
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Simulation} simulation - The simulation being recorded
+   */
+  constructor(simulation) {
+    this.simulation = simulation
+    this.options = {
+      width: simulation.grid.width,
+      height: simulation.grid.height,
+      tileSize: simulation.grid.tileSize,
+      seed: simulation.seed
+    }
+    this.initialState = simulation.toJSON()
+    this.commands = []
+  }
+
+  /**
+   * Record a command at the simulation's current tick
+   */
+  record(command) {
+    this.commands.push({ tick: this.simulation.currentTick, ...command })
+  }
+
+  /**
+   * Serialize the log as a replay object
+   */
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      tickRate: TICK_RATE,
+      ...this.options,
+      initialState: this.initialState,
+      endTick: this.simulation.currentTick,
+      commands: this.commands
+    }
+  }
+}
+
+/**
+ * Parse and validate a replay file
+ * @param {string} json - Replay file contents
+ * @returns {Object} Replay object
+ */
+export function parseReplay(json) {
+  const replay = JSON.parse(json)
+
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`)
+  }
+  if (!Array.isArray(replay.commands)) {
+    throw new Error('Invalid replay format')
+  }
+
+  return replay
+}
+
+/**
+ * ReplayPlayer class - Feeds a recorded command log back into a new simulation
+ * Playback is headless; the caller decides how often to call step() (play,
+ * pause, game speed) and renders player.simulation. Seeking backwards rebuilds
+ * the simulation from the start and fast-forwards, which is exact because the
+ * simulation is deterministic.
+ */
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay
+    this.startTick = replay.initialState ? replay.initialState.currentTick : 0
+    this.endTick = replay.endTick
+    this.simulation = null
+    this.commandIndex = 0
+    this.reset()
+  }
+
+  /**
+   * Restart playback from the beginning of the recording
+   */
+  reset() {
+    if (this.replay.initialState) {
+      this.simulation = Simulation.fromJSON(this.replay.initialState)
+    } else {
+      const { width, height, tileSize, seed } = this.replay
+      this.simulation = new Simulation({ width, height, tileSize, seed })
+    }
+    this.commandIndex = 0
+  }
+
+  /**
+   * Apply this tick's commands and advance the simulation by one tick
+   * @returns {boolean} False once the end of the replay is reached
+   */
+  step() {
+    if (this.isFinished()) return false
+
+    const commands = this.replay.commands
+    while (this.commandIndex < commands.length &&
+           commands[this.commandIndex].tick <= this.simulation.currentTick) {
+      const { tick, ...command } = commands[this.commandIndex]
+      this.simulation.executeCommand(command)
+      this.commandIndex++
+    }
+
+    this.simulation.update()
+    return true
+  }
+
+  /**
+   * Jump to a tick (backwards seeks replay from the start)
+   */
+  seek(targetTick) {
+    targetTick = Math.max(this.startTick, Math.min(this.endTick, Math.floor(targetTick)))
+
+    if (targetTick < this.simulation.currentTick) {
+      this.reset()
+    }
+    while (this.simulation.currentTick < targetTick) {
+      this.step()
+    }
+  }
+
+  /**
+   * Current playback position in ticks
+   */
+  getCurrentTick() {
+    return this.simulation.currentTick
+  }
+
+  /**
+   * Check if playback reached the end of the recording
+   */
+  isFinished() {
+    return this.simulation.currentTick >= this.endTick
+  }
+}
@@ -0,0 +1,119 @@
+// SaveGame.js - Named save slots for full match snapshots
+
+export const SAVE_VERSION = 1
+export const QUICK_SAVE_SLOT = 'Quick Save'
+
+/**
+ * SaveGameManager class - Stores game snapshots in localStorage by slot name
+ * A snapshot is whatever the game hands in (simulation state plus
+ * presentation settings); this class only adds metadata and persistence.
+ */
+export class SaveGameManager {
+  constructor(storageKey = 'starbound_saves') {
+    this.storageKey = storageKey
+    this.saves = this.loadSaves()
+  }
+
+  /**
+   * Save a snapshot to a named slot (overwrites an existing slot with the same name)
+   * @returns {boolean} True if the save was persisted
+   */
+  save(name, snapshot) {
+    const saveData = {
+      version: SAVE_VERSION,
+      name,
+      timestamp: Date.now(),
+      snapshot
+    }
+
+    const index = this.saves.findIndex(save => save.name === name)
+    const previous = index >= 0 ? this.saves[index] : null
+    if (index >= 0) {
+      this.saves[index] = saveData
+    } else {
+      this.saves.push(saveData)
+    }
+
+    if (!this.persistSaves()) {
+      // Roll back so memory matches storage
+      if (previous) {
+        this.saves[index] = previous
+      } else {
+        this.saves.pop()
+      }
+      return false
+    }
+
+    console.log(`Game saved: ${name}`)
+    return true
+  }
+
+  /**
+   * Get the snapshot stored in a slot
+   * @returns {Object|null} Snapshot, or null if the slot doesn't exist
+   */
+  load(name) {
+    const saveData = this.saves.find(save => save.name === name)
+    if (!saveData) {
+      console.error(`Save not found: ${name}`)
+      return null
+    }
+    if (saveData.version !== SAVE_VERSION) {
+      console.error(`Unsupported save version: ${saveData.version}`)
+      return null
+    }
+    return saveData.snapshot
+  }
+
+  /**
+   * Delete a save slot
+   */
+  delete(name) {
+    const index = this.saves.findIndex(save => save.name === name)
+    if (index < 0) return false
+
+    this.saves.splice(index, 1)
+    this.persistSaves()
+    console.log(`Save deleted: ${name}`)
+    return true
+  }
+
+  /**
+   * Get list of save slots (newest first)
+   */
+  getSaves() {
+    return this.saves
+      .map(save => ({
+        name: save.name,
+        timestamp: save.timestamp,
+        unitCount: save.snapshot.simulation.units.length
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp)
+  }
+
+  /**
+   * Load saves from localStorage
+   */
+  loadSaves() {
+    try {
+      const stored = localStorage.getItem(this.storageKey)
+      return stored ? JSON.parse(stored) : []
+    } catch (error) {
+      console.error('Failed to load saves:', error)
+      return []
+    }
+  }
+
+  /**
+   * Persist saves to localStorage
+   */
+  persistSaves() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.saves))
+      return true
+    } catch (error) {
+      console.error('Failed to persist saves:', error)
+      return false
+    }
+  }
+}
@@ -0,0 +1,804 @@
+// Simulation.js - Headless game state: units, grid, combat and pathing
+
+import { Grid, TILE_SIZE } from './Grid.js'
+import { Unit, UnitOrder } from './Unit.js'
+import { unitTypes, DEFAULT_UNIT_TYPE } from './UnitTypes.js'
+import { findPixelPath, optimizePixelPath } from './PixelPathfinding.js'
+import { TICK_DURATION } from './GameLoop.js'
+import { SeededRandom } from './Random.js'
+import { SpatialHash } from './SpatialHash.js'
+import { EventBus, GameEvent } from './EventBus.js'
+import { ProjectileManager } from './Projectile.js'
+import { HealingArea, HealthChangeCause, TRANSFUSE_AMOUNT } from './Healing.js'
+import { AbilityTarget, getAbility } from './Abilities.js'
+import { getStatusEffect } from './StatusEffects.js'
+import { getUpgrade, getUpgradesForUnitType } from './Upgrades.js'
+import { Player, AllianceMatrix, DEFAULT_PLAYERS, DEFAULT_ALLIANCES } from './Player.js'
+
+/**
+ * Player command types
+ * Commands are plain JSON objects ({ type, ...args }) so they can be logged and replayed.
+ * Unit orders take an optional playerId; when present, only units owned by
+ * that player obey (see getCommandedUnits). Orders with `queued: true` run
+ * after the units' current orders instead of replacing them (shift-click).
+ */
+export const CommandType = {
+  SPAWN: 'spawn', // { x, y, owner, color, unitType } - see spawnUnit; x/y are random when omitted
+  MOVE: 'move', // { playerId, unitIds, x, y, queued }
+  ATTACK: 'attack', // { playerId, unitIds, targetId, queued }
+  ATTACK_MOVE: 'attackMove', // { playerId, unitIds, x, y, queued }
+  PATROL: 'patrol', // { playerId, unitIds, x, y, queued }
+  STOP: 'stop', // { playerId, unitIds }
+  HOLD: 'hold', // { playerId, unitIds, queued }
+  FOLLOW: 'follow', // { playerId, unitIds, targetId, queued }
+  KILL: 'kill', // { playerId, unitIds }
+  CAST: 'cast', // { playerId, unitIds, abilityId, x, y, targetId } - x/y for point abilities, targetId for unit abilities
+  STATUS_EFFECT: 'statusEffect', // { playerId, unitIds, effectId, duration } - apply a buff/debuff (scripting and debugging)
+  RESEARCH: 'research', // { playerId, upgradeId } - start researching the upgrade's next level
+  CANCEL_RESEARCH: 'cancelResearch', // { playerId, upgradeId } - refunds the cost
+  TRANSFUSE: 'transfuse', // { playerId, targetId } - instant heal on an own or allied unit (scripting and debugging)
+  HEALING_POOL: 'healingPool', // { playerId, x, y } - area heal over time for the player and allies (scripting and debugging)
+  SET_TILES: 'setTiles' // { tiles: [{ x, y, value }] }
+}
+
+/**
+ * Simulation class - Owns all game state that affects the outcome of a match
+ * Has no dependency on the DOM, images or audio, so a scenario can be built
+ * and stepped N ticks in Node, then its resulting state asserted. The browser
+ * build drives it from the GameLoop and draws it with the unit renderers.
+ *
+ * The simulation is deterministic: unit ids come from a counter and all
+ * randomness from a seeded generator, so the same seed plus the same command
+ * log (see executeCommand) always produces the same match.
+ */
+export class Simulation {
+  /**
+   * @param {Object} options
+   * @param {number} options.width - World width in pixels
+   * @param {number} options.height - World height in pixels
+   * @param {number} options.tileSize - Grid tile size in pixels
+   * @param {number} options.seed - Seed for the simulation's random generator
+   * @param {Array} options.players - Player configs ({ id, name, colorPalette }, plus resources and upgrades from saves)
+   * @param {Array} options.alliances - Allied [playerId, playerId] pairs
+   */
+  constructor({ width, height, tileSize = TILE_SIZE, seed = 1, players = DEFAULT_PLAYERS, alliances = DEFAULT_ALLIANCES } = {}) {
+    this.grid = new Grid(width, height, tileSize)
+    this.units = []
+    this.spatialHash = new SpatialHash() // Index of this.units by position
+    this.events = new EventBus() // Game events for UI, audio, stats and scripts
+    this.projectiles = new ProjectileManager(this.events) // Ranged attacks in flight
+    this.healingAreas = [] // Healing pools on the ground
+    this.currentTick = 0 // Number of ticks simulated so far
+    this.tickDuration = TICK_DURATION
+
+    // Players and who is allied with whom
+    this.players = players.map(config => new Player(config))
+    this.alliances = AllianceMatrix.fromJSON(alliances)
+
+    // Determinism
+    this.seed = seed
+    this.random = new SeededRandom(seed)
+    this.nextUnitId = 1
+    this.nextHealingAreaId = 1
+  }
+
+  /**
+   * Advance the simulation by one tick
+   * @param {number} deltaTime - Tick duration in milliseconds
+   */
+  update(deltaTime = this.tickDuration) {
+    // Update all units with grid and other units for collision detection,
+    // keeping the index current as each one moves
+    this.units.forEach(unit => {
+      unit.update(deltaTime, this.grid, this.spatialHash)
+      this.spatialHash.update(unit)
+
+      // Attack-moving units path on once a fight is over
+      if (unit.needsAttackMovePath()) {
+        this.continueAttackMove(unit)
+      }
+
+      // Units that finished an order start the next queued one
+      if (unit.order === UnitOrder.NONE && unit.orderQueue.length > 0 && unit.isAlive()) {
+        this.startNextOrder(unit)
+      }
+    })
+
+    // Projectiles move after the units they chase, and land their damage
+    this.projectiles.update(deltaTime)
+
+    // Healing pools heal the units standing in them
+    this.healingAreas.forEach(area => area.update(deltaTime, this.spatialHash, this.alliances))
+    this.healingAreas = this.healingAreas.filter(area => !area.isExpired())
+
+    // Finished research upgrades the player's units
+    this.players.forEach(player => {
+      player.updateResearch(deltaTime).forEach(({ upgradeId, level }) => this.completeResearch(player, upgradeId, level))
+    })
+
+    // Remove dead units after death animation
+    this.units = this.units.filter(unit => !unit.isDeathAnimationComplete())
+
+    // Rebuild in array order so query order only depends on the units array
+    this.spatialHash.rebuild(this.units)
+
+    this.currentTick++
+  }
+
+  /**
+   * Advance the simulation by several ticks
+   * @param {number} ticks - Number of ticks to run
+   */
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.update(this.tickDuration)
+    }
+    return this
+  }
+
+  /**
+   * Execute a player command
+   * This is the single entry point for anything a player can do, so recording
+   * every command passed here is enough to replay a match.
+   * @param {Object} command - { type: CommandType, ...args }
+   * @returns {*} Command-specific result, or false if the command was invalid
+   */
+  executeCommand(command) {
+    const result = this.applyCommand(command)
+    this.events.emit(GameEvent.COMMAND_ISSUED, { command, result, tick: this.currentTick })
+    return result
+  }
+
+  /**
+   * Apply a command's effect (see executeCommand)
+   */
+  applyCommand(command) {
+    switch (command.type) {
+      case CommandType.SPAWN: {
+        // Pick a position from the seeded generator when none is given
+        const x = command.x ?? this.random.range(50, this.grid.width - 50)
+        const y = command.y ?? this.random.range(50, this.grid.height - 50)
+        return this.spawnUnit(x, y, command.color, command.owner, command.unitType)
+      }
+      case CommandType.MOVE:
+        return this.moveUnitsToPosition(this.getCommandedUnits(command), command.x, command.y, command.queued)
+      case CommandType.ATTACK:
+        return this.orderUnits(this.getCommandedUnits(command), { type: UnitOrder.ATTACK, targetId: command.targetId }, command.queued)
+      case CommandType.ATTACK_MOVE:
+        return this.attackMoveUnits(this.getCommandedUnits(command), command.x, command.y, command.queued)
+      case CommandType.PATROL:
+        return this.patrolUnits(this.getCommandedUnits(command), command.x, command.y, command.queued)
+      case CommandType.STOP:
+        return this.stopUnits(this.getCommandedUnits(command))
+      case CommandType.HOLD:
+        return this.holdUnits(this.getCommandedUnits(command), command.queued)
+      case CommandType.FOLLOW:
+        return this.orderUnits(this.getCommandedUnits(command), { type: UnitOrder.FOLLOW, targetId: command.targetId }, command.queued)
+      case CommandType.KILL:
+        this.killUnits(this.getCommandedUnits(command))
+        return true
+      case CommandType.CAST:
+        return this.castAbility(this.getCommandedUnits(command), command.abilityId, this.getAbilityTarget(command))
+      case CommandType.STATUS_EFFECT:
+        return this.applyStatusEffect(this.getCommandedUnits(command), command.effectId, command.duration)
+      case CommandType.RESEARCH:
+        return this.startResearch(command.playerId, command.upgradeId)
+      case CommandType.CANCEL_RESEARCH:
+        return this.cancelResearch(command.playerId, command.upgradeId)
+      case CommandType.TRANSFUSE:
+        return this.transfuse(command.playerId ?? null, this.getUnitById(command.targetId))
+      case CommandType.HEALING_POOL:
+        return this.createHealingPool(command.x, command.y, command.playerId ?? null)
+      case CommandType.SET_TILES:
+        this.setTiles(command.tiles)
+        return true
+      default:
+        console.warn(`Unknown command type: ${command.type}`)
+        return false
+    }
+  }
+
+  /**
+   * Create a unit and add it to the simulation
+   * The unit takes its owner's team color. Without an owner, the owner is the
+   * player whose team color is colorPalette; a color no player uses makes a
+   * neutral unit (owner null). With neither, a random player is picked.
+   * Types whose palette has teamColor: false keep their own colors.
+   * @param {string} unitType - Registered unit type id (see UnitTypes.js)
+   * @returns {Unit|null} Null if the type is unknown
+   */
+  spawnUnit(x, y, colorPalette = null, owner = null, unitType = DEFAULT_UNIT_TYPE) {
+    const definition = unitTypes.get(unitType)
+    if (!definition) {
+      console.warn(`Cannot spawn unknown unit type: ${unitType}`)
+      return null
+    }
+
+    if (owner === null && !colorPalette) {
+      owner = this.random.pick(this.players).id
+    } else if (owner === null) {
+      const player = this.players.find(player => player.colorPalette === colorPalette)
+      owner = player ? player.id : null
+    }
+
+    const player = this.getPlayer(owner)
+    if (definition.palette?.teamColor === false) {
+      colorPalette = null
+    } else if (player) {
+      colorPalette = player.colorPalette
+    }
+
+    const unit = unitTypes.create(unitType, x, y, { id: `unit_${this.nextUnitId++}`, colorPalette, owner })
+    this.addUnit(unit)
+    if (player) {
+      this.applyUpgrades(unit, player)
+    }
+    this.events.emit(GameEvent.UNIT_SPAWNED, { unit })
+    return unit
+  }
+
+  /**
+   * Add a unit to the simulation's unit list, spatial index, event bus, alliances and projectiles
+   */
+  addUnit(unit) {
+    unit.events = this.events
+    unit.alliances = this.alliances
+    unit.projectiles = this.projectiles
+    this.units.push(unit)
+    this.spatialHash.insert(unit)
+  }
+
+  /**
+   * Find a player by id
+   */
+  getPlayer(id) {
+    return this.players.find(player => player.id === id) || null
+  }
+
+  /**
+   * Check if two players are allied (every player is allied with itself)
+   */
+  arePlayersAllied(playerA, playerB) {
+    return this.alliances.isAllied(playerA, playerB)
+  }
+
+  /**
+   * Check if two units are hostile to each other
+   * Owned units follow the alliance matrix; a neutral unit is hostile to any
+   * unit of a different color (see Unit.isHostileTo).
+   */
+  areHostile(unitA, unitB) {
+    return unitA.isHostileTo(unitB)
+  }
+
+  /**
+   * Resolve the units a unit order applies to (only the issuing player's units when playerId is set)
+   */
+  getCommandedUnits(command) {
+    const units = this.getUnitsByIds(command.unitIds)
+    if (command.playerId === undefined || command.playerId === null) {
+      return units
+    }
+    return units.filter(unit => unit.owner === command.playerId)
+  }
+
+  /**
+   * Find a unit by its id
+   */
+  getUnitById(id) {
+    return this.units.find(unit => unit.id === id) || null
+  }
+
+  /**
+   * Resolve a list of unit ids, skipping units that no longer exist
+   */
+  getUnitsByIds(ids = []) {
+    return ids.map(id => this.getUnitById(id)).filter(unit => unit !== null)
+  }
+
+  /**
+   * Find the unit under a point (the closest one if several overlap)
+   * @param {Function} filter - Only consider units it accepts (e.g. those the viewer can see)
+   */
+  getUnitAt(x, y, filter = null) {
+    let closest = null
+    let closestDistance = Infinity
+
+    this.spatialHash.queryRadius(x, y, this.spatialHash.maxExtent).forEach(unit => {
+      if (!unit.isPointInside(x, y) || (filter && !filter(unit))) return
+      const distance = Math.hypot(unit.x - x, unit.y - y)
+      if (distance < closestDistance) {
+        closest = unit
+        closestDistance = distance
+      }
+    })
+
+    return closest
+  }
+
+  /**
+   * Get units whose center lies inside a rectangle
+   */
+  getUnitsInRect(minX, minY, maxX, maxY) {
+    return this.spatialHash.queryRect(minX, minY, maxX, maxY)
+  }
+
+  /**
+   * Get units whose center lies within a radius of a point
+   */
+  getUnitsInRadius(x, y, radius) {
+    return this.spatialHash.queryRadius(x, y, radius)
+  }
+
+  /**
+   * Get all units that are still alive
+   */
+  getAliveUnits() {
+    return this.units.filter(unit => unit.isAlive())
+  }
+
+  /**
+   * Move units to a position using pixel-perfect pathfinding
+   * @param {boolean} queued - Queue the move behind the units' current orders
+   * @returns {boolean} False if the target is not walkable
+   */
+  moveUnitsToPosition(units, worldX, worldY, queued = false) {
+    console.log(`Moving units to exact position: (${worldX.toFixed(1)}, ${worldY.toFixed(1)})`)
+    return this.orderUnits(units, { type: UnitOrder.MOVE, x: worldX, y: worldY }, queued)
+  }
+
+  /**
+   * Attack-move units to a position: they path there and engage hostiles met on the way
+   * @returns {boolean} False if the target is not walkable
+   */
+  attackMoveUnits(units, worldX, worldY, queued = false) {
+    return this.orderUnits(units, { type: UnitOrder.ATTACK_MOVE, x: worldX, y: worldY }, queued)
+  }
+
+  /**
+   * Patrol units between where they are (when the order starts) and a position
+   * @returns {boolean} False if the target is not walkable
+   */
+  patrolUnits(units, worldX, worldY, queued = false) {
+    return this.orderUnits(units, { type: UnitOrder.PATROL, x: worldX, y: worldY }, queued)
+  }
+
+  /**
+   * Order units to attack a target unit
+   */
+  attackUnit(units, target, queued = false) {
+    return this.orderUnits(units, { type: UnitOrder.ATTACK, targetId: target.id }, queued)
+  }
+
+  /**
+   * Order units to follow a target unit
+   */
+  followUnit(units, target, queued = false) {
+    return this.orderUnits(units, { type: UnitOrder.FOLLOW, targetId: target.id }, queued)
+  }
+
+  /**
+   * Order units to hold position
+   */
+  holdUnits(units, queued = false) {
+    return this.orderUnits(units, { type: UnitOrder.HOLD }, queued)
+  }
+
+  /**
+   * Stop units, dropping their current and queued orders
+   */
+  stopUnits(units) {
+    units.forEach(unit => unit.stop())
+    return true
+  }
+
+  /**
+   * Give units an order, or queue it behind their current orders
+   * A queued order starts right away for units with nothing to do.
+   * @param {Object} order - { type: UnitOrder, x, y } for positions, { type, targetId } for units
+   * @param {boolean} queued - Append to each unit's order queue instead of replacing its orders
+   * @returns {boolean} False if the position is not walkable, the target doesn't exist or no unit accepted the order
+   */
+  orderUnits(units, order, queued = false) {
+    if (order.x !== undefined) {
+      const targetTile = this.grid.worldToGrid(order.x, order.y)
+      if (!this.grid.isWalkable(targetTile.x, targetTile.y)) {
+        console.log('Target tile is not walkable')
+        return false
+      }
+    }
+    if (order.targetId !== undefined && !this.getUnitById(order.targetId)) {
+      return false
+    }
+
+    // A rejected order leaves the unit's current and queued orders as they were
+    let accepted = false
+    units.forEach(unit => {
+      if (queued && (unit.order !== UnitOrder.NONE || unit.orderQueue.length > 0)) {
+        unit.orderQueue.push({ ...order })
+        accepted = true
+      } else if (this.applyUnitOrder(unit, order)) {
+        unit.orderQueue = []
+        accepted = true
+      }
+    })
+
+    return accepted
+  }
+
+  /**
+   * Make a unit carry out an order (pathing it if needed)
+   * @returns {boolean} False if the order can't be carried out (no path, target gone)
+   */
+  applyUnitOrder(unit, order) {
+    // Burrowed and casting units can't move or attack
+    if (!unit.canTakeOrders()) return false
+
+    switch (order.type) {
+      case UnitOrder.MOVE:
+      case UnitOrder.ATTACK_MOVE:
+      case UnitOrder.PATROL: {
+        const path = this.findUnitPath(unit, order.x, order.y)
+        if (!path) return false
+        if (order.type === UnitOrder.MOVE) {
+          unit.setPath(path)
+        } else if (order.type === UnitOrder.ATTACK_MOVE) {
+          unit.setAttackMove(order.x, order.y, path)
+        } else {
+          unit.setPatrol(order.x, order.y, path)
+        }
+        return true
+      }
+      case UnitOrder.ATTACK:
+      case UnitOrder.FOLLOW: {
+        const target = this.getUnitById(order.targetId)
+        if (!target || !target.isAlive() || target === unit) return false
+        if (order.type === UnitOrder.ATTACK && !target.isTargetable()) return false
+        if (order.type === UnitOrder.ATTACK) {
+          unit.setAttackTarget(target)
+        } else {
+          unit.setFollowTarget(target)
+        }
+        return true
+      }
+      case UnitOrder.HOLD:
+        unit.holdPosition()
+        return true
+      default:
+        console.warn(`Unknown unit order: ${order.type}`)
+        return false
+    }
+  }
+
+  /**
+   * Start a unit's next queued order, skipping ones that can no longer be carried out
+   */
+  startNextOrder(unit) {
+    while (unit.orderQueue.length > 0) {
+      if (this.applyUnitOrder(unit, unit.orderQueue.shift())) return
+    }
+  }
+
+  /**
+   * Get the points a unit's current and queued orders lead through (for waypoint display)
+   * Orders on a unit use the target's current position; hold marks the point before it.
+   * @returns {Array} { x, y, type } in order, type being the UnitOrder
+   */
+  getOrderWaypoints(unit) {
+    const waypoints = []
+    const addUnitTarget = (target, type) => {
+      if (target && target.isAlive()) {
+        waypoints.push({ x: target.x, y: target.y, type })
+      }
+    }
+
+    switch (unit.order) {
+      case UnitOrder.MOVE: {
+        const end = unit.path.length > 0 ? unit.path[unit.path.length - 1] : { x: unit.targetX, y: unit.targetY }
+        waypoints.push({ x: end.x, y: end.y, type: unit.order })
+        break
+      }
+      case UnitOrder.ATTACK_MOVE:
+      case UnitOrder.PATROL:
+        waypoints.push({ ...unit.attackMoveTarget, type: unit.order })
+        break
+      case UnitOrder.ATTACK:
+        addUnitTarget(unit.attackTarget, unit.order)
+        break
+      case UnitOrder.FOLLOW:
+        addUnitTarget(unit.followTarget, unit.order)
+        break
+    }
+
+    unit.orderQueue.forEach(order => {
+      if (order.x !== undefined) {
+        waypoints.push({ x: order.x, y: order.y, type: order.type })
+      } else if (order.targetId !== undefined) {
+        addUnitTarget(this.getUnitById(order.targetId), order.type)
+      } else {
+        const last = waypoints[waypoints.length - 1] || unit
+        waypoints.push({ x: last.x, y: last.y, type: order.type })
+      }
+    })
+
+    return waypoints
+  }
+
+  /**
+   * Resume an attack-move after a fight, finish it at the destination,
+   * or turn a patrol around at either end
+   * (A unit that gets stuck on its path ends the attack-move itself, see Unit.cancelMove)
+   */
+  continueAttackMove(unit) {
+    const arrived = Math.hypot(unit.attackMoveTarget.x - unit.x, unit.attackMoveTarget.y - unit.y) <= unit.acceptableRange
+    if (arrived && unit.order === UnitOrder.PATROL) {
+      unit.reversePatrol()
+    } else if (arrived) {
+      unit.clearOrder()
+      return
+    }
+
+    const { x, y } = unit.attackMoveTarget
+    const path = this.findUnitPath(unit, x, y)
+    if (path) {
+      unit.startPath(path)
+    } else {
+      unit.clearOrder()
+    }
+  }
+
+  /**
+   * Find an optimized pixel-perfect path from a unit to a world position
+   * @returns {Array|null} Waypoints, or null if there is no path
+   */
+  findUnitPath(unit, worldX, worldY) {
+    const startWorld = { x: unit.x, y: unit.y }
+    const goalWorld = { x: worldX, y: worldY }
+
+    // Find pixel-perfect path (runs during ticks for attack-moves, so nothing is logged)
+    const pixelPath = findPixelPath(this.grid, startWorld, goalWorld)
+    if (!pixelPath || pixelPath.length === 0) {
+      return null
+    }
+
+    // Optimize the path further
+    return optimizePixelPath(this.grid, pixelPath)
+  }
+
+  /**
+   * Resolve a cast command's target for its ability's targeting mode
+   * @returns {Object|Unit|null} { x, y } for point abilities, a Unit for unit abilities, null otherwise
+   */
+  getAbilityTarget(command) {
+    const ability = getAbility(command.abilityId)
+    if (!ability) return null
+
+    switch (ability.targeting) {
+      case AbilityTarget.POINT:
+        return { x: command.x, y: command.y }
+      case AbilityTarget.UNIT:
+        return this.getUnitById(command.targetId)
+      default:
+        return null
+    }
+  }
+
+  /**
+   * Have units cast an ability (units that can't cast it right now are skipped)
+   * @returns {boolean} True if at least one unit started casting
+   */
+  castAbility(units, abilityId, target = null) {
+    if (!getAbility(abilityId)) {
+      console.warn(`Unknown ability: ${abilityId}`)
+      return false
+    }
+
+    let cast = false
+    units.forEach(unit => {
+      if (unit.castAbility(abilityId, target)) {
+        cast = true
+      }
+    })
+    return cast
+  }
+
+  /**
+   * Apply a status effect to living units (see StatusEffects.js)
+   * @param {number|null} duration - Milliseconds (omit for the effect's own duration, null = until removed)
+   * @returns {boolean} True if at least one unit got the effect
+   */
+  applyStatusEffect(units, effectId, duration) {
+    if (!getStatusEffect(effectId)) {
+      console.warn(`Unknown status effect: ${effectId}`)
+      return false
+    }
+
+    let applied = false
+    units.forEach(unit => {
+      if (unit.applyStatusEffect(effectId, { duration })) {
+        applied = true
+      }
+    })
+    return applied
+  }
+
+  /**
+   * Start researching the next level of an upgrade for a player
+   * @returns {boolean} False if the player or upgrade is unknown, or the player can't research it now
+   */
+  startResearch(playerId, upgradeId) {
+    const player = this.getPlayer(playerId)
+    if (!player || !getUpgrade(upgradeId)) {
+      console.warn(`Cannot research ${upgradeId} for player ${playerId}`)
+      return false
+    }
+    if (!player.startResearch(upgradeId)) return false
+
+    this.events.emit(GameEvent.RESEARCH_STARTED, { playerId, upgradeId, level: player.getResearch(upgradeId).level })
+    return true
+  }
+
+  /**
+   * Cancel a player's research in progress (its cost is refunded)
+   * @returns {boolean} False if the player isn't researching the upgrade
+   */
+  cancelResearch(playerId, upgradeId) {
+    const player = this.getPlayer(playerId)
+    const research = player ? player.getResearch(upgradeId) : null
+    if (!research) return false
+
+    player.cancelResearch(upgradeId)
+    this.events.emit(GameEvent.RESEARCH_CANCELED, { playerId, upgradeId, level: research.level })
+    return true
+  }
+
+  /**
+   * Apply a newly researched upgrade level to the player's living units
+   * Each level adds one stack of the upgrade's status effect.
+   */
+  completeResearch(player, upgradeId, level) {
+    const upgrade = getUpgrade(upgradeId)
+    this.units
+      .filter(unit => unit.owner === player.id && upgrade.unitTypes.includes(unit.type))
+      .forEach(unit => unit.applyStatusEffect(upgrade.effect, { duration: null }))
+    this.events.emit(GameEvent.RESEARCH_COMPLETED, { playerId: player.id, upgradeId, level })
+  }
+
+  /**
+   * Give a new unit its owner's researched upgrade levels
+   */
+  applyUpgrades(unit, player) {
+    getUpgradesForUnitType(unit.type).forEach(upgrade => {
+      const level = player.getUpgradeLevel(upgrade.id)
+      if (level > 0) {
+        unit.applyStatusEffect(upgrade.effect, { duration: null, stacks: level })
+      }
+    })
+  }
+
+  /**
+   * Instantly heal a living own or allied unit (Queen-style transfuse)
+   * @param {number|null} playerId - Casting player (null heals any unit)
+   * @returns {boolean} False if the target is missing, dead, hostile or at full health
+   */
+  transfuse(playerId, target, amount = TRANSFUSE_AMOUNT) {
+    if (!target || !target.isAlive()) return false
+    if (playerId !== null && (target.owner === null || !this.arePlayersAllied(playerId, target.owner))) {
+      console.warn(`Player ${playerId} cannot transfuse ${target.id}`)
+      return false
+    }
+    return target.heal(amount, null, HealthChangeCause.TRANSFUSE) > 0
+  }
+
+  /**
+   * Place a healing pool that heals the owner's and allied units inside it
+   * @param {number|null} owner - Owning player (null heals every unit)
+   * @returns {HealingArea}
+   */
+  createHealingPool(x, y, owner = null) {
+    const area = new HealingArea({ id: `healing_${this.nextHealingAreaId++}`, x, y, owner })
+    this.healingAreas.push(area)
+    return area
+  }
+
+  /**
+   * Kill units immediately
+   */
+  killUnits(units) {
+    units.filter(unit => unit.isAlive()).forEach(unit => unit.die())
+  }
+
+  /**
+   * Serialize the full simulation state (save games, replay starting points)
+   */
+  toJSON() {
+    const blockedTiles = []
+    for (let y = 0; y < this.grid.rows; y++) {
+      for (let x = 0; x < this.grid.cols; x++) {
+        if (this.grid.getTile(x, y) === 1) {
+          blockedTiles.push({ x, y })
+        }
+      }
+    }
+
+    return {
+      width: this.grid.width,
+      height: this.grid.height,
+      tileSize: this.grid.tileSize,
+      seed: this.seed,
+      randomState: this.random.getState(),
+      players: this.players.map(player => player.toJSON()),
+      alliances: this.alliances.toJSON(),
+      currentTick: this.currentTick,
+      nextUnitId: this.nextUnitId,
+      blockedTiles,
+      units: this.units.map(unit => unit.toJSON()),
+      projectiles: this.projectiles.toJSON(),
+      nextHealingAreaId: this.nextHealingAreaId,
+      healingAreas: this.healingAreas.map(area => area.toJSON())
+    }
+  }
+
+  /**
+   * Restore a simulation from toJSON() data
+   */
+  static fromJSON(data) {
+    const { width, height, tileSize, seed, players, alliances } = data
+    const simulation = new Simulation({ width, height, tileSize, seed, players, alliances })
+    simulation.random.setState(data.randomState)
+    simulation.currentTick = data.currentTick
+    simulation.nextUnitId = data.nextUnitId
+    data.blockedTiles.forEach(tile => simulation.grid.setTile(tile.x, tile.y, 1))
+
+    // Create units first, then resolve references between them
+    // Registered types get their stats from the definition; anything else restores as a plain Unit
+    data.units.forEach(unitData => {
+      if (!unitTypes.has(unitData.type)) {
+        simulation.addUnit(Unit.fromJSON(unitData))
+        return
+      }
+      const unit = unitTypes.create(unitData.type, unitData.x, unitData.y, { id: unitData.id })
+      unit.applyJSON(unitData)
+      simulation.addUnit(unit)
+    })
+    data.units.forEach((unitData, i) => {
+      if (unitData.attackTargetId) {
+        simulation.units[i].attackTarget = simulation.getUnitById(unitData.attackTargetId)
+      }
+      if (unitData.followTargetId) {
+        simulation.units[i].followTarget = simulation.getUnitById(unitData.followTargetId)
+      }
+      if (unitData.castState && unitData.castState.targetId) {
+        simulation.units[i].castState.target = simulation.getUnitById(unitData.castState.targetId)
+      }
+      unitData.statusEffects?.forEach((effectData, j) => {
+        if (effectData.sourceId) {
+          simulation.units[i].statusEffects[j].source = simulation.getUnitById(effectData.sourceId)
+        }
+      })
+    })
+    if (data.projectiles) {
+      simulation.projectiles.applyJSON(data.projectiles, id => simulation.getUnitById(id))
+    }
+    if (data.healingAreas) {
+      simulation.nextHealingAreaId = data.nextHealingAreaId
+      simulation.healingAreas = data.healingAreas.map(areaData => HealingArea.fromJSON(areaData))
+    }
+
+    return simulation
+  }
+
+  /**
+   * Apply a batch of tile changes
+   * @param {Array} tiles - Array of { x, y, value } (0 = walkable, 1 = blocked)
+   */
+  setTiles(tiles) {
+    tiles.forEach(tile => {
+      const previous = this.grid.getTile(tile.x, tile.y)
+      this.grid.setTile(tile.x, tile.y, tile.value)
+      if (this.grid.getTile(tile.x, tile.y) !== previous) {
+        this.events.emit(GameEvent.TILE_CHANGED, { x: tile.x, y: tile.y, value: tile.value })
+      }
+    })
+  }
+}
@@ -0,0 +1,148 @@
+// SpatialHash.js - Uniform grid index for fast unit proximity queries
+
+export const SPATIAL_HASH_CELL_SIZE = 64 // Cell size in pixels
+
+// Offset so negative cell coordinates still produce unique numeric keys
+const CELL_KEY_OFFSET = 32768
+
+/**
+ * SpatialHash class - Buckets items by position into fixed-size cells
+ * Radius and rectangle queries only look at the cells they overlap, turning
+ * the all-pairs unit scans (collision, separation, hit tests) into local ones.
+ *
+ * Items are anything with x, y and size (units). A query matches on an item's
+ * center; callers that care about an item's extent pad the query with
+ * maxExtent (the largest size / 2 inserted) and then run their exact check.
+ *
+ * Query results come back in cell order and, within a cell, insertion order.
+ * The Simulation rebuilds the index from its units array after every tick so
+ * that order only depends on simulation state, which keeps it deterministic
+ * across save/load and replays.
+ */
+export class SpatialHash {
+  constructor(cellSize = SPATIAL_HASH_CELL_SIZE) {
+    this.cellSize = cellSize
+    this.cells = new Map() // Cell key -> array of items
+    this.itemCells = new Map() // Item -> cell key
+    this.maxExtent = 0
+  }
+
+  /**
+   * Get the cell coordinate for a world coordinate
+   */
+  toCell(value) {
+    return Math.floor(value / this.cellSize)
+  }
+
+  /**
+   * Get the key of a cell
+   */
+  getKey(cellX, cellY) {
+    return (cellX + CELL_KEY_OFFSET) * 65536 + (cellY + CELL_KEY_OFFSET)
+  }
+
+  /**
+   * Add an item at its current position
+   */
+  insert(item) {
+    const key = this.getKey(this.toCell(item.x), this.toCell(item.y))
+    let cell = this.cells.get(key)
+    if (!cell) {
+      cell = []
+      this.cells.set(key, cell)
+    }
+    cell.push(item)
+    this.itemCells.set(item, key)
+    this.maxExtent = Math.max(this.maxExtent, (item.size || 0) / 2)
+  }
+
+  /**
+   * Remove an item
+   */
+  remove(item) {
+    const key = this.itemCells.get(item)
+    if (key === undefined) return
+
+    const cell = this.cells.get(key)
+    cell.splice(cell.indexOf(item), 1)
+    if (cell.length === 0) {
+      this.cells.delete(key)
+    }
+    this.itemCells.delete(item)
+  }
+
+  /**
+   * Move an item to the cell for its current position (call after it moves)
+   */
+  update(item) {
+    const key = this.getKey(this.toCell(item.x), this.toCell(item.y))
+    if (this.itemCells.get(item) === key) return
+
+    this.remove(item)
+    this.insert(item)
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.cells.clear()
+    this.itemCells.clear()
+    this.maxExtent = 0
+  }
+
+  /**
+   * Replace the contents with a list of items (inserted in list order)
+   */
+  rebuild(items) {
+    this.clear()
+    items.forEach(item => this.insert(item))
+  }
+
+  /**
+   * Get all items whose center lies inside a rectangle
+   */
+  queryRect(minX, minY, maxX, maxY) {
+    const results = []
+
+    for (let cellY = this.toCell(minY); cellY <= this.toCell(maxY); cellY++) {
+      for (let cellX = this.toCell(minX); cellX <= this.toCell(maxX); cellX++) {
+        const cell = this.cells.get(this.getKey(cellX, cellY))
+        if (!cell) continue
+
+        for (const item of cell) {
+          if (item.x >= minX && item.x <= maxX && item.y >= minY && item.y <= maxY) {
+            results.push(item)
+          }
+        }
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Get all items whose center lies within a radius of a point
+   */
+  queryRadius(x, y, radius) {
+    const results = []
+    const radiusSquared = radius * radius
+
+    for (let cellY = this.toCell(y - radius); cellY <= this.toCell(y + radius); cellY++) {
+      for (let cellX = this.toCell(x - radius); cellX <= this.toCell(x + radius); cellX++) {
+        const cell = this.cells.get(this.getKey(cellX, cellY))
+        if (!cell) continue
+
+        for (const item of cell) {
+          const dx = item.x - x
+          const dy = item.y - y
+          if (dx * dx + dy * dy <= radiusSquared) {
+            results.push(item)
+          }
+        }
+      }
+    }
+
+    return results
+  }
+}
@@ -0,0 +1,217 @@
+// StatusEffects.js - Timed buffs and debuffs (slow, stun, attack speed, damage over time) and stat modifiers
+
+/**
+ * What happens when an effect is applied to a unit that already has it
+ */
+export const EffectStacking = {
+  REFRESH: 'refresh', // Restart the duration
+  STACK: 'stack' // Add a stack (up to maxStacks) and restart the duration
+}
+
+/**
+ * Status effect definitions by id
+ * Effects never change a unit's base stats: `unit.getStat(stat)` applies the
+ * modifiers of every active effect on top of them. Each effect has:
+ * - id, name
+ * - duration: milliseconds, or null for effects that last until removed (upgrades)
+ * - stacking: EffectStacking, maxStacks
+ * - modifiers: { stat: { add, multiply } } for speed, attackCooldownMax, attackDamage, armor;
+ *   per stack, adds are summed and multipliers compounded
+ * - stun: the unit can't move, attack or cast while it lasts
+ * - damagePerSecond: damage over time per stack (ignores armor)
+ * - overlay: visual overlay key for the unit renderer (optional)
+ */
+export const STATUS_EFFECTS = {
+  slow: {
+    id: 'slow',
+    name: 'Slowed',
+    duration: 3000,
+    stacking: EffectStacking.REFRESH,
+    maxStacks: 1,
+    modifiers: { speed: { multiply: 0.5 } },
+    overlay: 'slow'
+  },
+  stun: {
+    id: 'stun',
+    name: 'Stunned',
+    duration: 1500,
+    stacking: EffectStacking.REFRESH,
+    maxStacks: 1,
+    modifiers: {},
+    stun: true,
+    overlay: 'stun'
+  },
+  frenzy: {
+    id: 'frenzy',
+    name: 'Frenzied',
+    duration: 5000,
+    stacking: EffectStacking.REFRESH,
+    maxStacks: 1,
+    modifiers: { attackCooldownMax: { multiply: 0.67 } },
+    overlay: 'frenzy'
+  },
+  acid: {
+    id: 'acid',
+    name: 'Corroded',
+    duration: 4000,
+    stacking: EffectStacking.STACK,
+    maxStacks: 3,
+    modifiers: { armor: { add: -1 } },
+    damagePerSecond: 3,
+    overlay: 'acid'
+  },
+  // Upgrades (see Upgrades.js): permanent, so they have no duration; levels are stacks
+  meleeAttacks: {
+    id: 'meleeAttacks',
+    name: 'Melee Attacks',
+    duration: null,
+    stacking: EffectStacking.STACK,
+    maxStacks: 3,
+    modifiers: { attackDamage: { add: 1 } }
+  },
+  carapace: {
+    id: 'carapace',
+    name: 'Carapace',
+    duration: null,
+    stacking: EffectStacking.STACK,
+    maxStacks: 3,
+    modifiers: { armor: { add: 1 } }
+  },
+  metabolicBoost: {
+    id: 'metabolicBoost',
+    name: 'Metabolic Boost',
+    duration: null,
+    stacking: EffectStacking.REFRESH,
+    maxStacks: 1,
+    modifiers: { speed: { multiply: 1.6 } }
+  },
+  adrenalGlands: {
+    id: 'adrenalGlands',
+    name: 'Adrenal Glands',
+    duration: null,
+    stacking: EffectStacking.REFRESH,
+    maxStacks: 1,
+    modifiers: { attackCooldownMax: { multiply: 0.75 } }
+  }
+}
+
+/**
+ * Get a status effect definition by id
+ * @returns {Object|null}
+ */
+export function getStatusEffect(effectId) {
+  return STATUS_EFFECTS[effectId] || null
+}
+
+/**
+ * StatusEffect class - One effect active on a unit
+ * Holds its source unit by reference; saves store it by id and the
+ * Simulation resolves it on load.
+ */
+export class StatusEffect {
+  /**
+   * @param {Object} config
+   * @param {string} config.effectId - Id in STATUS_EFFECTS
+   * @param {number|null} config.duration - Milliseconds (defaults to the definition's; null = permanent)
+   * @param {Unit} config.source - Unit that applied it, if any (credited with damage over time)
+   * @param {number} config.stacks - Stacks to start with (stacking effects only)
+   */
+  constructor({ effectId, duration, source = null, stacks = 1 }) {
+    const definition = getStatusEffect(effectId)
+    this.effectId = effectId
+    this.duration = duration === undefined ? definition.duration : duration
+    this.remaining = this.duration // Milliseconds left (null = permanent)
+    this.stacks = definition.stacking === EffectStacking.STACK ? Math.min(stacks, definition.maxStacks) : 1
+    this.source = source
+  }
+
+  /**
+   * Get the effect's definition (see STATUS_EFFECTS)
+   */
+  getDefinition() {
+    return getStatusEffect(this.effectId)
+  }
+
+  /**
+   * Apply the effect again: restart its duration and, for stacking effects, add a stack
+   * @param {number|null} duration - Milliseconds (defaults to the definition's)
+   * @param {number} stacks - Stacks to add (stacking effects only)
+   */
+  reapply(duration, source = null, stacks = 1) {
+    const definition = this.getDefinition()
+    if (definition.stacking === EffectStacking.STACK) {
+      this.stacks = Math.min(this.stacks + stacks, definition.maxStacks)
+    }
+    this.duration = duration === undefined ? definition.duration : duration
+    this.remaining = this.duration
+    if (source) {
+      this.source = source
+    }
+  }
+
+  /**
+   * Count the effect's duration down by one tick
+   */
+  update(deltaTime) {
+    if (this.remaining !== null) {
+      this.remaining = Math.max(0, this.remaining - deltaTime)
+    }
+  }
+
+  /**
+   * Get the health this effect takes away over one tick (0 for effects without damage over time)
+   */
+  getTickDamage(deltaTime) {
+    const { damagePerSecond = 0 } = this.getDefinition()
+    return damagePerSecond * this.stacks * deltaTime / 1000
+  }
+
+  /**
+   * Check if the effect has run out
+   */
+  isExpired() {
+    return this.remaining !== null && this.remaining <= 0
+  }
+
+  /**
+   * Serialize the effect for save games (the source is stored by id)
+   */
+  toJSON() {
+    return {
+      effectId: this.effectId,
+      duration: this.duration,
+      remaining: this.remaining,
+      stacks: this.stacks,
+      sourceId: this.source ? this.source.id : null
+    }
+  }
+
+  /**
+   * Create an effect from toJSON() data (sourceId is resolved by the caller)
+   */
+  static fromJSON(data) {
+    const effect = new StatusEffect({ effectId: data.effectId, duration: data.duration })
+    effect.remaining = data.remaining
+    effect.stacks = data.stacks
+    return effect
+  }
+}
+
+/**
+ * Apply the modifiers of a unit's active effects to a base stat value
+ * Adds are applied before multipliers: (base + adds) × multipliers.
+ * @param {number} base - The unit's own value of the stat
+ * @param {string} stat - Stat name (speed, attackCooldownMax, attackDamage, armor)
+ * @param {Array} effects - Active StatusEffects
+ */
+export function applyModifiers(base, stat, effects) {
+  let add = 0
+  let multiply = 1
+  effects.forEach(effect => {
+    const modifier = effect.getDefinition().modifiers[stat]
+    if (!modifier) return
+    add += (modifier.add || 0) * effect.stacks
+    multiply *= Math.pow(modifier.multiply ?? 1, effect.stacks)
+  })
+  return (base + add) * multiply
+}
@@ -1,26 +1,56 @@
 // Unit.js - Base class for all unit types
 
+import { GameEvent } from './EventBus.js'
+import { DamageType, UnitSize, resolveDamage } from './Damage.js'
+import { HealthChangeCause } from './Healing.js'
+import { AbilityTarget, getAbility } from './Abilities.js'
+import { StatusEffect, getStatusEffect, applyModifiers } from './StatusEffects.js'
+import { perfCounters } from './PerfCounters.js'
+import { RenderLayer } from './RenderQueue.js'
+
 // Unit states
 export const UnitState = {
   IDLE: 'idle',
   WALKING: 'walking',
   ATTACKING: 'attacking',
+  CASTING: 'casting', // Playing an ability's cast animation
   DEAD: 'dead'
 }
 
+// Unit orders (what the unit was told to do; attackTarget is what it is fighting right now)
+export const UnitOrder = {
+  NONE: 'none', // Idle: engages hostiles that come near
+  MOVE: 'move',
+  ATTACK: 'attack',
+  ATTACK_MOVE: 'attackMove',
+  FOLLOW: 'follow',
+  HOLD: 'hold', // Stand still and only attack enemies already in range
+  PATROL: 'patrol' // Attack-move back and forth between patrolOrigin and attackMoveTarget
+}
+
+// Fallback id counter for units created outside a Simulation
+let nextUnitId = 1
+
 /**
  * Unit class - Base class for all units
- * Manages position, movement, pathfinding, health, combat, and selection
- * Subclasses should implement rendering and animation specifics
+ * Manages position, movement, pathfinding, health, combat, animation timing and selection
+ * Per-type stats and animation timing come from the config (see UnitTypes.js); drawing
+ * with real assets lives in a separate renderer so units can be simulated without a DOM
  */
 export class Unit {
   constructor(x, y, config = {}) {
+    // Unit type key (used to pick a renderer)
+    this.type = config.type || 'unit'
+    this.name = config.name || 'Unit'
+
     // Position and movement
     this.x = x
     this.y = y
     this.targetX = x
     this.targetY = y
-    this.speed = config.speed || 2 // Movement speed in pixels per frame
+    this.previousX = x // Position at the start of the current tick (for render interpolation)
+    this.previousY = y
+    this.speed = config.speed || 120 // Movement speed in pixels per second
     this.direction = 0 // 0-7 for 8 directions
     
     // Pathfinding
@@ -46,8 +76,6 @@ export class Unit {
     this.height = config.height || 39
     this.size = Math.max(this.width, this.height) // Use max for collision radius
     this.collisionRadius = config.collisionRadius || this.size / 4
-    this.spriteSheet = config.spriteSheet || null
-    this.colorShader = config.colorShader || null
     this.shadowScale = config.shadowScale || 0.8
     this.selectionScale = config.selectionScale || 1.25
 
@@ -55,49 +83,478 @@ export class Unit {
     this.state = UnitState.IDLE
     this.currentFrame = 0
     this.frameTimer = 0
+    this.animations = config.animations || {} // { walk, attack, death }: { frames, fps, loop }
+
+    // Corpse removal
+    this.corpseDuration = config.corpseDuration || 0 // Milliseconds a corpse stays after dying
+    this.deathTimer = 0
 
     // Combat properties
     this.health = config.health || 100
     this.maxHealth = config.maxHealth || 100
+    this.regeneration = config.regeneration || 0 // Health regained per second while alive
     this.attackTarget = null
     this.attackRange = config.attackRange || 30
     this.attackDamage = config.attackDamage || 10
+    this.damageType = config.damageType || DamageType.NORMAL
+    this.armor = config.armor || 0 // Subtracted from every hit taken (see resolveDamage)
+    this.unitSize = config.unitSize || UnitSize.SMALL // Size class for damage type modifiers
     this.attackCooldown = 0
     this.attackCooldownMax = config.attackCooldownMax || 1000 // 1 second
+    this.projectile = config.projectile || null // Ranged units fire this ({ type, mode, speed, ... }); melee units hit directly
+
+    // Target acquisition (configurable per unit type)
+    this.autoAcquire = config.autoAcquire ?? true // Idle units engage hostiles that come near
+    this.acquisitionRange = config.acquisitionRange || 150 // Scan radius in pixels
+    this.retaliate = config.retaliate ?? true // Idle units fight back against their attacker
+
+    // Abilities (see Abilities.js)
+    this.abilities = config.abilities || [] // Ability ids this unit can cast
+    this.abilityCooldowns = {} // Ability id -> milliseconds until it can be cast again
+    this.maxEnergy = config.maxEnergy || 0
+    this.energy = config.energy ?? this.maxEnergy
+    this.energyRegeneration = config.energyRegeneration || 0 // Energy per second
+    this.castState = null // Cast in progress: { abilityId, target, elapsed, duration }
+    this.burrowed = false // Underground: untargetable, immobile and passed over by other units
+
+    // Buffs and debuffs (see StatusEffects.js); they modify stats through getStat() and never overwrite them
+    this.statusEffects = []
+
+    // Following (stays near a friendly unit until given another order)
+    this.followTarget = null
+    this.followDistance = config.followDistance || 40 // Stop this close to the followed unit
+
+    // Current order, with attack-move/patrol destinations ({ x, y })
+    this.order = UnitOrder.NONE
+    this.attackMoveTarget = null // Hostiles met on the way there are engaged first
+    this.patrolOrigin = null // Other end of a patrol
+    this.orderQueue = [] // Shift-queued orders as plain data ({ type, x, y } or { type, targetId }), run by the Simulation
+
+    // Owning player id (null = neutral)
+    this.owner = config.owner ?? null
 
     // Selection state
     this.selected = false
 
-    // Unique ID for tracking
-    this.id = `unit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    // Unique ID for tracking (assigned deterministically by the Simulation)
+    this.id = config.id || `unit_${nextUnitId++}`
+
+    // Event bus, alliances and projectiles of the simulation this unit belongs to (set by the Simulation)
+    this.events = null
+    this.alliances = null
+    this.projectiles = null
   }
 
   /**
-   * Main update loop - called every frame
+   * Emit a game event about this unit (no-op outside a Simulation)
    */
-  update(deltaTime, grid = null, units = []) {
+  emit(type, payload = {}) {
+    if (this.events) {
+      this.events.emit(type, { unit: this, ...payload })
+    }
+  }
+
+  /**
+   * Main update loop - called once per simulation tick
+   * @param {number} deltaTime - Fixed tick duration in milliseconds
+   * @param {Grid} grid - Tile grid for collision
+   * @param {SpatialHash} spatialHash - Index of all units for collision and separation
+   */
+  update(deltaTime, grid = null, spatialHash = null) {
+    // Remember where this tick started so rendering can interpolate
+    this.previousX = this.x
+    this.previousY = this.y
+
     // Always update animation (including death animation)
     this.updateAnimation(deltaTime)
     
     // Skip game logic if dead (but still track death timer)
     if (this.state === UnitState.DEAD) {
-      if (this.deathTimer !== undefined) {
-        this.deathTimer += deltaTime
-      }
+      this.deathTimer += deltaTime
       return
     }
 
+    this.regenerate(deltaTime)
+    this.updateStatusEffects(deltaTime)
+    if (this.state === UnitState.DEAD) return
+    this.updateAbilityTimers(deltaTime)
+
     // Update attack cooldown
     if (this.attackCooldown > 0) {
       this.attackCooldown -= deltaTime
     }
 
+    // Stunned units keep their orders but do nothing until the stun ends
+    if (this.isStunned()) {
+      this.state = UnitState.IDLE
+      return
+    }
+
+    // Casting units stand still until the cast finishes
+    if (this.castState) {
+      this.updateCast(deltaTime)
+      return
+    }
+
+    // Burrowed units neither move nor fight
+    if (this.burrowed) {
+      this.state = UnitState.IDLE
+      return
+    }
+
+    // Finished orders fall back to idle
+    this.updateOrder()
+
+    if (this.order === UnitOrder.HOLD) {
+      this.updateHoldBehavior(deltaTime, spatialHash)
+      return
+    }
+
+    // Idle and attack-moving units engage the nearest hostile in acquisition range
+    if ((this.autoAcquire && this.isIdle()) || (this.attackMoveTarget && !this.hasValidAttackTarget())) {
+      this.acquireTarget(spatialHash)
+    }
+
     // Handle combat behavior
     if (this.hasValidAttackTarget()) {
-      this.updateCombatBehavior(deltaTime, grid, units)
+      this.updateCombatBehavior(deltaTime, grid, spatialHash)
+    } else if (this.hasValidFollowTarget()) {
+      this.attackTarget = null
+      this.updateFollowBehavior(deltaTime, grid, spatialHash)
+    } else {
+      this.attackTarget = null
+      this.followTarget = null
+      this.move(deltaTime, grid, spatialHash)
+    }
+  }
+
+  /**
+   * Count down ability cooldowns and regenerate energy
+   */
+  updateAbilityTimers(deltaTime) {
+    for (const abilityId in this.abilityCooldowns) {
+      this.abilityCooldowns[abilityId] = Math.max(0, this.abilityCooldowns[abilityId] - deltaTime)
+    }
+    if (this.energy < this.maxEnergy) {
+      this.energy = Math.min(this.maxEnergy, this.energy + this.energyRegeneration * deltaTime / 1000)
+    }
+  }
+
+  /**
+   * Check if the unit can cast an ability on a target right now
+   * @param {Object|Unit|null} target - { x, y } for point abilities, a Unit for unit abilities
+   */
+  canCastAbility(abilityId, target = null) {
+    const ability = getAbility(abilityId)
+    if (!ability || !this.abilities.includes(abilityId) || !this.isAlive() || this.castState || this.isStunned()) {
+      return false
+    }
+    if ((this.abilityCooldowns[abilityId] || 0) > 0 || this.energy < ability.energyCost) {
+      return false
+    }
+
+    if (ability.targeting === AbilityTarget.UNIT && (!target || !target.isTargetable())) {
+      return false
+    }
+    if (ability.targeting !== AbilityTarget.INSTANT) {
+      if (!target || this.distanceTo(target) > ability.range) return false
+    }
+
+    return !ability.canCast || ability.canCast(this, target)
+  }
+
+  /**
+   * Start casting an ability: pays its energy, starts its cooldown and stops the unit for the cast
+   * @returns {boolean} False if it can't be cast (see canCastAbility)
+   */
+  castAbility(abilityId, target = null) {
+    if (!this.canCastAbility(abilityId, target)) {
+      return false
+    }
+
+    const ability = getAbility(abilityId)
+    this.stop()
+    this.energy -= ability.energyCost
+    this.abilityCooldowns[abilityId] = ability.cooldown
+    this.castState = { abilityId, target, elapsed: 0, duration: ability.castTime }
+    this.state = UnitState.CASTING
+    this.currentFrame = 0
+    this.frameTimer = 0
+    this.emit(GameEvent.ABILITY_CAST, { abilityId, target })
+
+    if (ability.castTime <= 0) {
+      this.finishCast()
+    }
+    return true
+  }
+
+  /**
+   * Advance the cast in progress and apply the ability when it completes
+   */
+  updateCast(deltaTime) {
+    this.state = UnitState.CASTING
+    this.castState.elapsed = Math.min(this.castState.elapsed + deltaTime, this.castState.duration)
+    if (this.castState.elapsed >= this.castState.duration) {
+      this.finishCast()
+    }
+  }
+
+  /**
+   * Apply the ability being cast and return to idle
+   */
+  finishCast() {
+    const { abilityId, target } = this.castState
+    this.castState = null
+    this.state = UnitState.IDLE
+    getAbility(abilityId).execute(this, target)
+    this.emit(GameEvent.ABILITY_FINISHED, { abilityId, target })
+  }
+
+  /**
+   * Get a stat with the modifiers of the unit's status effects applied
+   * Combat and movement read speed, attackCooldownMax, attackDamage and armor
+   * through here; the properties themselves stay the unit's base values.
+   * @param {string} stat - speed, attackCooldownMax, attackDamage or armor
+   */
+  getStat(stat) {
+    return applyModifiers(this[stat], stat, this.statusEffects)
+  }
+
+  /**
+   * Apply a status effect, or reapply it if the unit already has it (refresh or add a stack)
+   * A stun interrupts a cast in progress.
+   * @param {string} effectId - Id in STATUS_EFFECTS
+   * @param {Object} options
+   * @param {Unit} options.source - Unit that applied it, if any
+   * @param {number|null} options.duration - Milliseconds (defaults to the effect's; null = until removed)
+   * @param {number} options.stacks - Stacks to add (stacking effects only)
+   * @returns {StatusEffect|null} Null if the effect is unknown or the unit is dead
+   */
+  applyStatusEffect(effectId, { source = null, duration, stacks = 1 } = {}) {
+    const definition = getStatusEffect(effectId)
+    if (!definition) {
+      console.warn(`Unknown status effect: ${effectId}`)
+      return null
+    }
+    if (!this.isAlive()) return null
+
+    let effect = this.getStatusEffect(effectId)
+    if (effect) {
+      effect.reapply(duration, source, stacks)
     } else {
+      effect = new StatusEffect({ effectId, duration, source, stacks })
+      this.statusEffects.push(effect)
+    }
+
+    if (definition.stun && this.castState) {
+      this.castState = null
+      this.state = UnitState.IDLE
+    }
+    this.emit(GameEvent.STATUS_EFFECT_APPLIED, { effectId, stacks: effect.stacks, source })
+    return effect
+  }
+
+  /**
+   * Remove a status effect before it runs out
+   * @returns {boolean} False if the unit doesn't have it
+   */
+  removeStatusEffect(effectId) {
+    const effect = this.getStatusEffect(effectId)
+    if (!effect) return false
+
+    this.statusEffects = this.statusEffects.filter(other => other !== effect)
+    this.emit(GameEvent.STATUS_EFFECT_REMOVED, { effectId })
+    return true
+  }
+
+  /**
+   * Get the unit's active effect with an id
+   * @returns {StatusEffect|null}
+   */
+  getStatusEffect(effectId) {
+    return this.statusEffects.find(effect => effect.effectId === effectId) || null
+  }
+
+  /**
+   * Deal damage over time, count effect durations down and drop expired effects
+   */
+  updateStatusEffects(deltaTime) {
+    this.statusEffects.forEach(effect => {
+      effect.update(deltaTime)
+      const damage = effect.getTickDamage(deltaTime)
+      if (damage > 0) {
+        this.changeHealth(-damage, effect.source, HealthChangeCause.STATUS_EFFECT)
+      }
+    })
+
+    this.statusEffects
+      .filter(effect => effect.isExpired())
+      .forEach(effect => this.removeStatusEffect(effect.effectId))
+  }
+
+  /**
+   * Check if a status effect stops the unit from acting
+   */
+  isStunned() {
+    return this.statusEffects.some(effect => effect.getDefinition().stun)
+  }
+
+  /**
+   * Check if other units can attack or target this one (alive and above ground)
+   */
+  isTargetable() {
+    return this.isAlive() && !this.burrowed
+  }
+
+  /**
+   * Check if the unit can be given move and attack orders
+   */
+  canTakeOrders() {
+    return this.isAlive() && !this.burrowed && !this.castState
+  }
+
+  /**
+   * End orders that are complete: a move whose path is used up, an attack or follow whose target died
+   * A move ends once the unit has stopped or is within acceptable range of its target:
+   * crowded units are pushed apart and rarely reach the exact point.
+   * (Attack-move and patrol destinations are handled by the Simulation, which does the pathing)
+   */
+  updateOrder() {
+    switch (this.order) {
+      case UnitOrder.MOVE:
+        if (this.path.length === 0 && (this.state === UnitState.IDLE ||
+            Math.hypot(this.targetX - this.x, this.targetY - this.y) <= this.acceptableRange)) {
+          this.order = UnitOrder.NONE
+        }
+        break
+      case UnitOrder.ATTACK:
+        if (!this.hasValidAttackTarget()) {
+          this.order = UnitOrder.NONE
+        }
+        break
+      case UnitOrder.FOLLOW:
+        if (!this.hasValidFollowTarget()) {
+          this.order = UnitOrder.NONE
+        }
+        break
+    }
+  }
+
+  /**
+   * Hold position - never move, attack the nearest hostile within attack range
+   */
+  updateHoldBehavior(deltaTime, spatialHash = null) {
+    if (!this.hasValidAttackTarget() || this.distanceTo(this.attackTarget) > this.attackRange) {
       this.attackTarget = null
-      this.move(deltaTime, grid, units)
+      this.acquireTarget(spatialHash, this.attackRange)
+    }
+
+    if (this.attackTarget) {
+      this.performAttack(deltaTime)
+    } else {
+      this.state = UnitState.IDLE
+    }
+  }
+
+  /**
+   * Check if the unit has no order to carry out and nothing to fight
+   */
+  isIdle() {
+    return this.order === UnitOrder.NONE && !this.hasValidAttackTarget()
+  }
+
+  /**
+   * Get a plain description of the current order (for UI and debugging)
+   */
+  getOrder() {
+    return {
+      type: this.order,
+      targetId: this.order === UnitOrder.ATTACK && this.attackTarget ? this.attackTarget.id
+        : this.order === UnitOrder.FOLLOW && this.followTarget ? this.followTarget.id
+        : null,
+      destination: this.attackMoveTarget ? { ...this.attackMoveTarget } : null,
+      patrolOrigin: this.patrolOrigin ? { ...this.patrolOrigin } : null
+    }
+  }
+
+  /**
+   * Check if another unit is hostile to this one
+   * Owned units follow the simulation's alliances; without ownership (or
+   * outside a simulation) units of a different color are hostile.
+   */
+  isHostileTo(other) {
+    if (other === this) return false
+    if (this.alliances && this.owner !== null && other.owner !== null) {
+      return !this.alliances.isAllied(this.owner, other.owner)
+    }
+    return this.colorPalette !== other.colorPalette
+  }
+
+  /**
+   * Attack the nearest living hostile unit within range
+   * @param {number} range - Scan radius (defaults to the acquisition range)
+   * @returns {boolean} True if a target was acquired
+   */
+  acquireTarget(spatialHash, range = this.acquisitionRange) {
+    let closest = null
+    let closestDistance = range
+
+    for (const { unit, distance } of this.getNearbyUnits(spatialHash, range)) {
+      // Strictly closer, so ties keep the spatial hash's (deterministic) order
+      if (distance < closestDistance && this.isHostileTo(unit)) {
+        closest = unit
+        closestDistance = distance
+      }
+    }
+
+    if (closest) {
+      this.engage(closest)
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Fight a unit without changing the current order (unlike setAttackTarget)
+   */
+  engage(target) {
+    this.attackTarget = target
+    this.followTarget = null
+  }
+
+  /**
+   * Check if an attack-move needs a new path (the fight is over or the path ran out)
+   * The Simulation then paths the unit on towards attackMoveTarget.
+   */
+  needsAttackMovePath() {
+    return this.attackMoveTarget !== null &&
+      this.isAlive() &&
+      !this.hasValidAttackTarget() &&
+      this.path.length === 0
+  }
+
+  /**
+   * Check if the unit has a living unit to follow
+   */
+  hasValidFollowTarget() {
+    return this.followTarget && this.followTarget.state !== UnitState.DEAD
+  }
+
+  /**
+   * Update follow behavior - keep within followDistance of the followed unit
+   */
+  updateFollowBehavior(deltaTime, grid = null, spatialHash = null) {
+    if (this.distanceTo(this.followTarget) > this.followDistance) {
+      this.targetX = this.followTarget.x
+      this.targetY = this.followTarget.y
+      this.path = []
+      this.currentWaypointIndex = 0
+      this.move(deltaTime, grid, spatialHash)
+    } else {
+      // Close enough - wait for the followed unit to move on
+      this.targetX = this.x
+      this.targetY = this.y
+      this.state = UnitState.IDLE
     }
   }
 
@@ -105,19 +562,22 @@ export class Unit {
    * Check if the unit has a valid attack target
    */
   hasValidAttackTarget() {
-    return this.attackTarget && this.attackTarget.state !== UnitState.DEAD
+    return this.attackTarget && this.attackTarget.isTargetable()
   }
 
   /**
    * Update combat behavior - move towards or attack target
    */
-  updateCombatBehavior(deltaTime, grid = null, units = []) {
+  updateCombatBehavior(deltaTime, grid = null, spatialHash = null) {
     const distance = this.distanceTo(this.attackTarget)
 
     if (distance > this.attackRange) {
-      // Move towards target
-      this.setTarget(this.attackTarget.x, this.attackTarget.y)
-      this.move(deltaTime, grid, units)
+      // Move towards target (setTarget() would drop the attack target)
+      this.targetX = this.attackTarget.x
+      this.targetY = this.attackTarget.y
+      this.path = []
+      this.currentWaypointIndex = 0
+      this.move(deltaTime, grid, spatialHash)
     } else {
       // In range, perform attack
       this.performAttack(deltaTime)
@@ -135,17 +595,32 @@ export class Unit {
     const dy = this.attackTarget.y - this.y
     this.direction = this.calculateDirection(dx, dy)
 
-    // Deal damage if cooldown is ready
+    // Deal damage if cooldown is ready (ranged attacks deal it when the projectile lands)
     if (this.attackCooldown <= 0) {
-      this.attackTarget.takeDamage(this.attackDamage)
-      this.attackCooldown = this.attackCooldownMax
+      if (this.projectile && this.projectiles) {
+        this.projectiles.launch(this, this.attackTarget)
+      } else {
+        this.attackTarget.takeDamage(resolveDamage(this.getAttack(), this.attackTarget), this)
+      }
+      this.attackCooldown = this.getStat('attackCooldownMax')
+    }
+  }
+
+  /**
+   * Describe this unit's attack for damage resolution (see resolveDamage)
+   */
+  getAttack() {
+    return {
+      attacker: this,
+      damage: this.getStat('attackDamage'),
+      damageType: this.damageType
     }
   }
 
   /**
    * Move towards target position (following path if available)
    */
-  move(deltaTime, grid = null, units = []) {
+  move(deltaTime, grid = null, spatialHash = null) {
     // Check if unit has been standing still for too long while trying to move
     if (this.path.length > 0) {
       this.checkStandingStill(deltaTime)
@@ -159,6 +634,7 @@ export class Unit {
     const dx = this.targetX - this.x
     const dy = this.targetY - this.y
     const distance = Math.sqrt(dx * dx + dy * dy)
+    const step = this.getStepDistance(deltaTime)
 
     // Tighter threshold for pixel-perfect positioning
     // Stop when within 1 pixel of target
@@ -167,11 +643,11 @@ export class Unit {
       this.direction = this.calculateDirection(dx, dy)
 
       // Move towards target
-      let moveX = (dx / distance) * this.speed
-      let moveY = (dy / distance) * this.speed
+      let moveX = (dx / distance) * step
+      let moveY = (dy / distance) * step
       
       // Apply separation force to avoid stacking with other units
-      const separation = this.applySeparation(units)
+      const separation = this.applySeparation(spatialHash, step)
       moveX += separation.x
       moveY += separation.y
       
@@ -180,7 +656,7 @@ export class Unit {
       let newY = this.y
       
       // If we're very close, move exactly to the target to avoid oscillation
-      if (distance < this.speed) {
+      if (distance < step) {
         newX = this.targetX
         newY = this.targetY
       } else {
@@ -189,9 +665,9 @@ export class Unit {
       }
       
       // Check collision with grid and other units if available
-      if (grid && !this.canMoveTo(newX, newY, grid, units)) {
+      if (grid && !this.canMoveTo(newX, newY, grid, spatialHash)) {
         // Try advanced sliding along walls and around units
-        const slideResult = this.tryAdvancedSliding(this.x, this.y, newX, newY, moveX, moveY, grid, units)
+        const slideResult = this.tryAdvancedSliding(this.x, this.y, newX, newY, moveX, moveY, step, grid, spatialHash)
         if (slideResult.canMove) {
           this.x = slideResult.x
           this.y = slideResult.y
@@ -215,7 +691,7 @@ export class Unit {
         // No collision, move normally
         this.x = newX
         this.y = newY
-        this.state = distance < this.speed ? UnitState.IDLE : UnitState.WALKING
+        this.state = distance < step ? UnitState.IDLE : UnitState.WALKING
         
         // Reset stuck detection when moving freely
         this.stuckTimer = 0
@@ -235,6 +711,14 @@ export class Unit {
     }
   }
   
+  /**
+   * Distance covered in one update of the given duration
+   * @param {number} deltaTime - Tick duration in milliseconds
+   */
+  getStepDistance(deltaTime) {
+    return this.getStat('speed') * deltaTime / 1000
+  }
+  
   /**
    * Check if unit is stuck (moving but not making progress)
    */
@@ -264,7 +748,6 @@ export class Unit {
       
       // If stuck for too long, skip waypoint
       if (this.progressTimer > this.stuckThreshold) {
-        console.log(`Unit stuck - moving but not progressing (distance: ${currentDistance.toFixed(1)})`)
         this.skipToNextWaypoint()
         this.progressTimer = 0
         this.lastDistanceToWaypoint = Infinity
@@ -276,17 +759,14 @@ export class Unit {
    * Skip to next waypoint when stuck
    */
   skipToNextWaypoint() {
-    console.log('Skipping waypoint')
     this.currentWaypointIndex++
     this.stuckTimer = 0
     this.progressTimer = 0
     this.lastDistanceToWaypoint = Infinity
     
-    // If no more waypoints, clear path
+    // Stuck with no more waypoints: give up on the move where the unit stands
     if (this.currentWaypointIndex >= this.path.length) {
-      console.log('No more waypoints, clearing path')
-      this.path = []
-      this.currentWaypointIndex = 0
+      this.cancelMove()
     }
   }
   
@@ -320,11 +800,9 @@ export class Unit {
           
           // Only cancel if within acceptable range
           if (distanceToFinal <= this.acceptableRange) {
-            console.log(`Unit close enough to destination (${distanceToFinal.toFixed(1)}px), canceling move`)
             this.cancelMove()
           } else {
             // Too far, just reset timer and keep trying
-            console.log(`Unit stuck but too far from destination (${distanceToFinal.toFixed(1)}px), skipping waypoint`)
             this.skipToNextWaypoint()
             this.standingStillTimer = 0
           }
@@ -335,8 +813,15 @@ export class Unit {
   
   /**
    * Cancel current move and clear path
+   * This completes a move or attack-move (the unit is stuck or close enough)
+   * and turns a patrol around, so the Simulation doesn't keep re-pathing it.
    */
   cancelMove() {
+    if (this.order === UnitOrder.PATROL) {
+      this.reversePatrol()
+    } else if (this.order === UnitOrder.MOVE || this.order === UnitOrder.ATTACK_MOVE) {
+      this.clearOrder()
+    }
     this.path = []
     this.currentWaypointIndex = 0
     this.targetX = this.x
@@ -351,7 +836,7 @@ export class Unit {
   /**
    * Check if unit can move to a position without colliding with obstacles or other units
    */
-  canMoveTo(x, y, grid, units = []) {
+  canMoveTo(x, y, grid, spatialHash = null) {
     // Check the unit's bounding circle against the grid
     // Use a slightly smaller radius to be less strict (85% of actual size)
     const radius = (this.size / 2) * 0.85
@@ -375,7 +860,7 @@ export class Unit {
     }
     
     // Check collision with other units
-    if (this.wouldCollideWithUnits(x, y, units)) {
+    if (this.wouldCollideWithUnits(x, y, spatialHash)) {
       return false
     }
     
@@ -385,10 +870,15 @@ export class Unit {
   /**
    * Check if moving to a position would collide with other units
    */
-  wouldCollideWithUnits(x, y, units) {
-    for (const other of units) {
-      // Skip self and dead units
-      if (other === this || !other.isAlive()) continue
+  wouldCollideWithUnits(x, y, spatialHash) {
+    if (!spatialHash) return false
+    
+    // Only units whose centers are close enough to overlap need checking
+    const candidates = spatialHash.queryRadius(x, y, this.collisionRadius + spatialHash.maxExtent)
+    perfCounters.collisionChecks += candidates.length
+    for (const other of candidates) {
+      // Skip self, dead and burrowed (underground) units
+      if (other === this || !other.isAlive() || other.burrowed) continue
       
       // Calculate distance between positions
       const dx = x - other.x
@@ -407,10 +897,13 @@ export class Unit {
   /**
    * Get nearby units within a certain radius
    */
-  getNearbyUnits(units, radius) {
+  getNearbyUnits(spatialHash, radius) {
     const nearby = []
-    for (const other of units) {
-      if (other === this || !other.isAlive()) continue
+    if (!spatialHash) return nearby
+    
+    for (const other of spatialHash.queryRadius(this.x, this.y, radius)) {
+      // Burrowed units are underground: nothing separates from or acquires them
+      if (other === this || !other.isAlive() || other.burrowed) continue
       
       const dx = this.x - other.x
       const dy = this.y - other.y
@@ -426,9 +919,9 @@ export class Unit {
   /**
    * Apply separation force to avoid stacking with other units
    */
-  applySeparation(units) {
+  applySeparation(spatialHash, step) {
     const separationRadius = this.collisionRadius * 3
-    const nearby = this.getNearbyUnits(units, separationRadius)
+    const nearby = this.getNearbyUnits(spatialHash, separationRadius)
     
     if (nearby.length === 0) return { x: 0, y: 0 }
     
@@ -445,8 +938,8 @@ export class Unit {
     // Normalize and scale
     const magnitude = Math.sqrt(separationX * separationX + separationY * separationY)
     if (magnitude > 0) {
-      separationX = (separationX / magnitude) * this.speed * 0.3
-      separationY = (separationY / magnitude) * this.speed * 0.3
+      separationX = (separationX / magnitude) * step * 0.3
+      separationY = (separationY / magnitude) * step * 0.3
     }
     
     return { x: separationX, y: separationY }
@@ -455,14 +948,14 @@ export class Unit {
   /**
    * Advanced sliding that tries multiple directions
    */
-  tryAdvancedSliding(oldX, oldY, newX, newY, moveX, moveY, grid, units = []) {
+  tryAdvancedSliding(oldX, oldY, newX, newY, moveX, moveY, step, grid, spatialHash = null) {
     // Try full horizontal slide
-    if (this.canMoveTo(newX, oldY, grid, units)) {
+    if (this.canMoveTo(newX, oldY, grid, spatialHash)) {
       return { canMove: true, x: newX, y: oldY }
     }
     
     // Try full vertical slide
-    if (this.canMoveTo(oldX, newY, grid, units)) {
+    if (this.canMoveTo(oldX, newY, grid, spatialHash)) {
       return { canMove: true, x: oldX, y: newY }
     }
     
@@ -470,7 +963,7 @@ export class Unit {
     const halfX = oldX + moveX * 0.5
     const halfY = oldY + moveY * 0.5
     
-    if (this.canMoveTo(halfX, halfY, grid, units)) {
+    if (this.canMoveTo(halfX, halfY, grid, spatialHash)) {
       return { canMove: true, x: halfX, y: halfY }
     }
     
@@ -478,10 +971,10 @@ export class Unit {
     const altAngles = [-0.3, 0.3, -0.6, 0.6] // Try angles 17°, 34° off
     for (const angleOffset of altAngles) {
       const angle = Math.atan2(moveY, moveX) + angleOffset
-      const altX = oldX + Math.cos(angle) * this.speed
-      const altY = oldY + Math.sin(angle) * this.speed
+      const altX = oldX + Math.cos(angle) * step
+      const altY = oldY + Math.sin(angle) * step
       
-      if (this.canMoveTo(altX, altY, grid, units)) {
+      if (this.canMoveTo(altX, altY, grid, spatialHash)) {
         return { canMove: true, x: altX, y: altY }
       }
     }
@@ -552,25 +1045,83 @@ export class Unit {
   }
 
   /**
-   * Update sprite animation - must be implemented by subclass
+   * Update animation frame on the simulation tick
    */
   updateAnimation(deltaTime) {
-    // Subclasses should implement this
+    // Don't animate if idle - keep first frame
+    if (this.state === UnitState.IDLE) {
+      this.currentFrame = 0
+      this.frameTimer = 0
+      return
+    }
+
+    const timing = this.getAnimationTiming()
+    if (!timing) return
+    const { frames, fps, loop } = timing
+
+    this.frameTimer += deltaTime
+    const frameDuration = 1000 / fps
+
+    if (this.frameTimer >= frameDuration) {
+      this.frameTimer -= frameDuration
+      this.currentFrame++
+
+      if (this.currentFrame >= frames) {
+        // Loop, or stay on the last frame (death)
+        this.currentFrame = loop ? 0 : frames - 1
+      }
+    }
+  }
+
+  /**
+   * Get frame count and playback rate for the current state
+   * @returns {{frames: number, fps: number, loop: boolean}|null} Null if the type has no such animation
+   */
+  getAnimationTiming() {
+    return this.animations[this.getAnimationType()] || null
+  }
+
+  /**
+   * Get the appropriate animation type based on state
+   */
+  getAnimationType() {
+    switch (this.state) {
+      case UnitState.ATTACKING:
+        return 'attack'
+      case UnitState.DEAD:
+        return 'death'
+      case UnitState.CASTING:
+        return this.castState ? getAbility(this.castState.abilityId).animation : 'walk'
+      default:
+        return 'walk'
+    }
+  }
+
+  /**
+   * Drop the current order and anything it was targeting (leaves movement alone)
+   */
+  clearOrder() {
+    this.order = UnitOrder.NONE
+    this.attackTarget = null
+    this.followTarget = null
+    this.attackMoveTarget = null
+    this.patrolOrigin = null
   }
 
   /**
    * Set movement target (direct movement without pathfinding)
    */
   setTarget(x, y) {
+    this.clearOrder()
+    this.order = UnitOrder.MOVE
     this.targetX = x
     this.targetY = y
-    this.attackTarget = null
     this.path = []
     this.currentWaypointIndex = 0
   }
 
   /**
-   * Set path to follow
+   * Set path to follow (a move order)
    * @param {Array} path - Array of {x, y} world coordinates
    */
   setPath(path) {
@@ -580,9 +1131,19 @@ export class Unit {
       return
     }
 
+    this.clearOrder()
+    this.order = UnitOrder.MOVE
+    this.startPath(path)
+  }
+
+  /**
+   * Start following a path without changing the current order
+   * @param {Array} path - Array of {x, y} world coordinates
+   */
+  startPath(path) {
     this.path = path
     this.currentWaypointIndex = 0
-    this.attackTarget = null
+    this.emit(GameEvent.PATH_SET, { path })
 
     // Reset stuck detection for new path
     this.stuckTimer = 0
@@ -606,41 +1167,153 @@ export class Unit {
    */
   setAttackTarget(target) {
     if (target && target !== this) {
+      this.clearOrder()
+      this.order = UnitOrder.ATTACK
       this.attackTarget = target
     }
   }
 
   /**
-   * Take damage from an attack
+   * Attack-move: follow a path to a destination, engaging hostiles on the way
+   * @param {number} x - Destination X in world coordinates
+   * @param {number} y - Destination Y in world coordinates
+   * @param {Array} path - Path to the destination (from the Simulation's pathfinding)
    */
-  takeDamage(amount) {
-    if (this.state === UnitState.DEAD) return
+  setAttackMove(x, y, path) {
+    this.clearOrder()
+    this.order = UnitOrder.ATTACK_MOVE
+    this.attackMoveTarget = { x, y }
+    this.startPath(path)
+  }
+
+  /**
+   * Patrol between the current position and a point, attack-moving both ways
+   * @param {Array} path - Path to the point (from the Simulation's pathfinding)
+   */
+  setPatrol(x, y, path) {
+    const origin = { x: this.x, y: this.y }
+    this.setAttackMove(x, y, path)
+    this.order = UnitOrder.PATROL
+    this.patrolOrigin = origin
+  }
+
+  /**
+   * Turn a patrol around at one of its ends
+   */
+  reversePatrol() {
+    const destination = this.patrolOrigin
+    this.patrolOrigin = this.attackMoveTarget
+    this.attackMoveTarget = destination
+  }
+
+  /**
+   * Stop: drop the order (and any queued ones), path and target and stand still
+   */
+  stop() {
+    this.clearOrder()
+    this.orderQueue = []
+    this.cancelMove()
+  }
+
+  /**
+   * Hold position: stop, then only attack enemies that come within attack range
+   * (Hold never ends, so it also drops queued orders)
+   */
+  holdPosition() {
+    this.stop()
+    this.order = UnitOrder.HOLD
+  }
+
+  /**
+   * Set a unit to follow
+   */
+  setFollowTarget(target) {
+    if (target && target !== this) {
+      this.clearOrder()
+      this.order = UnitOrder.FOLLOW
+      this.followTarget = target
+      this.path = []
+      this.currentWaypointIndex = 0
+    }
+  }
+
+  /**
+   * Change the unit's health - every damage and heal goes through here
+   * Clamps to maxHealth, emits unitDamaged or unitHealed with the change
+   * actually applied, and kills the unit at 0 health.
+   * @param {number} amount - Positive to heal, negative to damage
+   * @param {Unit} source - Unit responsible (attacker or healer), if any
+   * @param {string} cause - HealthChangeCause
+   * @returns {number} Health actually gained (negative for damage)
+   */
+  changeHealth(amount, source = null, cause = HealthChangeCause.HEAL) {
+    if (this.state === UnitState.DEAD) return 0
+
+    const previous = this.health
+    this.health = Math.min(this.health + amount, this.maxHealth)
+    const change = this.health - previous
+
+    if (change < 0) {
+      this.emit(GameEvent.UNIT_DAMAGED, { amount: -change, attacker: source, cause })
+    } else if (change > 0) {
+      this.emit(GameEvent.UNIT_HEALED, { amount: change, source, cause })
+    }
 
-    this.health -= amount
     if (this.health <= 0) {
       this.die()
     }
+    return change
+  }
+
+  /**
+   * Regain health at the type's regeneration rate (Zerg units heal slowly on their own)
+   */
+  regenerate(deltaTime) {
+    if (this.regeneration > 0 && this.health < this.maxHealth) {
+      this.changeHealth(this.regeneration * deltaTime / 1000, null, HealthChangeCause.REGENERATION)
+    }
+  }
+
+  /**
+   * Take damage from an attack
+   * @param {number} amount - Damage dealt, already resolved against armor and size (see resolveDamage)
+   * @param {Unit} attacker - Unit that dealt the damage, if any
+   */
+  takeDamage(amount, attacker = null) {
+    this.changeHealth(-amount, attacker, HealthChangeCause.ATTACK)
+    if (this.state === UnitState.DEAD) return
+
+    // Fight back unless busy with another order
+    if (this.retaliate && attacker && attacker.isAlive() && this.isIdle() && this.isHostileTo(attacker)) {
+      this.engage(attacker)
+    }
   }
 
   /**
    * Handle unit death - can be overridden by subclasses
    */
   die() {
+    this.setSelected(false)
     this.health = 0
     this.state = UnitState.DEAD
     this.currentFrame = 0
     this.frameTimer = 0
-    this.selected = false
-    this.attackTarget = null
+    this.deathTimer = 0
+    this.castState = null
+    this.statusEffects = []
+    this.clearOrder()
+    this.orderQueue = []
+    this.emit(GameEvent.UNIT_KILLED)
   }
 
   /**
-   * Heal the unit
+   * Heal the unit (never above maxHealth)
+   * @param {Unit} source - Healing unit, if any
+   * @param {string} cause - HealthChangeCause (transfuse, healing pool, ...)
+   * @returns {number} Health actually restored
    */
-  heal(amount) {
-    if (this.state === UnitState.DEAD) return
-
-    this.health = Math.min(this.health + amount, this.maxHealth)
+  heal(amount, source = null, cause = HealthChangeCause.HEAL) {
+    return this.changeHealth(amount, source, cause)
   }
 
   /**
@@ -651,19 +1324,41 @@ export class Unit {
   }
 
   /**
-   * Check if death animation is complete - must be implemented by subclass
+   * Check if the death animation has played and the corpse has been shown long enough to remove the unit
    */
   isDeathAnimationComplete() {
-    return this.state === UnitState.DEAD
+    if (this.state !== UnitState.DEAD) {
+      return false
+    }
+
+    if (this.deathTimer < this.corpseDuration) {
+      return false
+    }
+
+    const death = this.animations.death
+    return !death || this.currentFrame >= death.frames - 1
+  }
+
+  /**
+   * Get the interpolated position between the previous and current tick
+   * @param {number} alpha - Fraction of a tick elapsed since the last update (0-1)
+   */
+  getRenderPosition(alpha = 1) {
+    return {
+      x: this.previousX + (this.x - this.previousX) * alpha,
+      y: this.previousY + (this.y - this.previousY) * alpha
+    }
   }
 
   /**
-   * Draw the unit on canvas - must be implemented by subclass
+   * Draw a placeholder for the unit (renderers draw the real sprites)
+   * @param {number} alpha - Render interpolation factor between ticks
    */
-  draw(ctx) {
-    // Default implementation: draw a simple circle
+  draw(ctx, alpha = 1) {
+    // Default implementation: draw a simple circle (see submitDraw)
+    const pos = this.getRenderPosition(alpha)
     ctx.save()
-    ctx.translate(this.x, this.y)
+    ctx.translate(pos.x, pos.y)
     ctx.fillStyle = this.colorPalette === 'red' ? '#ff0000' : 
                      this.colorPalette === 'blue' ? '#0000ff' : 
                      this.colorPalette === 'green' ? '#00ff00' : '#ff00ff'
@@ -674,12 +1369,21 @@ export class Unit {
   }
 
   /**
-   * Check if a point is inside the unit's bounds
+   * Submit the placeholder drawing to the unit layer (used when no renderer is available)
+   * @param {RenderQueue} queue
+   */
+  submitDraw(queue, alpha = 1) {
+    queue.submit(RenderLayer.UNITS, ctx => this.draw(ctx, alpha), this.getRenderPosition(alpha).y)
+  }
+
+  /**
+   * Check if a point is inside the unit's bounds (just the mound while burrowed)
    */
   isPointInside(x, y) {
     const dx = x - this.x
     const dy = y - this.y
-    return Math.sqrt(dx * dx + dy * dy) <= this.size / 2
+    const radius = this.burrowed ? this.collisionRadius : this.size / 2
+    return Math.sqrt(dx * dx + dy * dy) <= radius
   }
 
   /**
@@ -691,21 +1395,7 @@ export class Unit {
   }
 
   /**
-   * Set the sprite sheet reference
-   */
-  setSpriteSheet(spriteSheet) {
-    this.spriteSheet = spriteSheet
-  }
-
-  /**
-   * Set the color shader reference
-   */
-  setColorShader(colorShader) {
-    this.colorShader = colorShader
-  }
-
-  /**
-   * Change the unit's color palette - can be overridden by subclasses
+   * Change the unit's color palette
    */
   setColorPalette(paletteKey) {
     this.colorPalette = paletteKey
@@ -715,17 +1405,16 @@ export class Unit {
    * Toggle selection state
    */
   toggleSelection() {
-    if (this.isAlive()) {
-      this.selected = !this.selected
-    }
+    this.setSelected(!this.selected)
   }
 
   /**
    * Set selection state
    */
   setSelected(selected) {
-    if (this.isAlive()) {
+    if (this.isAlive() && this.selected !== selected) {
       this.selected = selected
+      this.emit(GameEvent.SELECTION_CHANGED, { selected })
     }
   }
 
@@ -735,12 +1424,126 @@ export class Unit {
   getInfo() {
     return {
       id: this.id,
+      type: this.type,
+      owner: this.owner,
+      order: this.order,
       position: { x: Math.round(this.x), y: Math.round(this.y) },
       state: this.state,
       health: this.health,
+      energy: this.energy,
+      burrowed: this.burrowed,
+      statusEffects: this.statusEffects.map(effect => effect.effectId),
       selected: this.selected,
       direction: this.direction,
       frame: this.currentFrame
     }
   }
+
+  /**
+   * Serialize the unit's state for save games
+   * References to other units are stored by id and resolved by the Simulation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      targetX: this.targetX,
+      targetY: this.targetY,
+      direction: this.direction,
+      path: this.path.map(point => ({ x: point.x, y: point.y })),
+      currentWaypointIndex: this.currentWaypointIndex,
+      stuckTimer: this.stuckTimer,
+      progressTimer: this.progressTimer,
+      lastDistanceToWaypoint: isFinite(this.lastDistanceToWaypoint) ? this.lastDistanceToWaypoint : null,
+      standingStillTimer: this.standingStillTimer,
+      lastMovementCheck: { x: this.lastMovementCheck.x, y: this.lastMovementCheck.y },
+      colorPalette: this.colorPalette,
+      owner: this.owner,
+      state: this.state,
+      currentFrame: this.currentFrame,
+      frameTimer: this.frameTimer,
+      deathTimer: this.deathTimer,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      attackTargetId: this.attackTarget ? this.attackTarget.id : null,
+      attackCooldown: this.attackCooldown,
+      followTargetId: this.followTarget ? this.followTarget.id : null,
+      order: this.order,
+      attackMoveTarget: this.attackMoveTarget ? { ...this.attackMoveTarget } : null,
+      patrolOrigin: this.patrolOrigin ? { ...this.patrolOrigin } : null,
+      orderQueue: this.orderQueue.map(order => ({ ...order })),
+      energy: this.energy,
+      abilityCooldowns: { ...this.abilityCooldowns },
+      castState: this.castState ? this.getCastStateJSON() : null,
+      burrowed: this.burrowed,
+      statusEffects: this.statusEffects.map(effect => effect.toJSON()),
+      selected: this.selected
+    }
+  }
+
+  /**
+   * Serialize the cast in progress (a unit target by id, a point as { x, y })
+   */
+  getCastStateJSON() {
+    const { abilityId, target, elapsed, duration } = this.castState
+    return {
+      abilityId,
+      elapsed,
+      duration,
+      targetId: target && target.id ? target.id : null,
+      targetPoint: target && !target.id ? { x: target.x, y: target.y } : null
+    }
+  }
+
+  /**
+   * Restore state written by toJSON() (attackTargetId, followTargetId, unit cast targets and effect sources are resolved by the caller)
+   */
+  applyJSON(data) {
+    this.x = data.x
+    this.y = data.y
+    this.previousX = data.x
+    this.previousY = data.y
+    this.targetX = data.targetX
+    this.targetY = data.targetY
+    this.direction = data.direction
+    this.path = data.path.map(point => ({ x: point.x, y: point.y }))
+    this.currentWaypointIndex = data.currentWaypointIndex
+    this.stuckTimer = data.stuckTimer
+    this.progressTimer = data.progressTimer
+    this.lastDistanceToWaypoint = data.lastDistanceToWaypoint ?? Infinity
+    this.standingStillTimer = data.standingStillTimer
+    this.lastMovementCheck = { x: data.lastMovementCheck.x, y: data.lastMovementCheck.y }
+    this.colorPalette = data.colorPalette
+    this.owner = data.owner ?? null
+    this.state = data.state
+    this.currentFrame = data.currentFrame
+    this.frameTimer = data.frameTimer
+    this.deathTimer = data.deathTimer ?? 0
+    this.health = data.health
+    this.maxHealth = data.maxHealth
+    this.attackCooldown = data.attackCooldown
+    this.order = data.order ?? UnitOrder.NONE
+    this.attackMoveTarget = data.attackMoveTarget ? { ...data.attackMoveTarget } : null
+    this.patrolOrigin = data.patrolOrigin ? { ...data.patrolOrigin } : null
+    this.orderQueue = (data.orderQueue || []).map(order => ({ ...order }))
+    this.energy = data.energy ?? this.maxEnergy
+    this.abilityCooldowns = { ...data.abilityCooldowns }
+    this.castState = data.castState
+      ? { abilityId: data.castState.abilityId, target: data.castState.targetPoint, elapsed: data.castState.elapsed, duration: data.castState.duration }
+      : null
+    this.burrowed = data.burrowed ?? false
+    this.statusEffects = (data.statusEffects || []).map(effectData => StatusEffect.fromJSON(effectData))
+    this.selected = data.selected
+  }
+
+  /**
+   * Create a unit from toJSON() data
+   */
+  static fromJSON(data) {
+    const unit = new Unit(data.x, data.y, { id: data.id, type: data.type, colorPalette: data.colorPalette })
+    unit.applyJSON(data)
+    return unit
+  }
 }
@@ -0,0 +1,141 @@
+// UnitInfoPanel.js - Stats, upgrade levels and research buttons for the selected unit
+
+import { CommandType } from './Simulation.js'
+import { getUpgradesForUnitType, getResearchCost } from './Upgrades.js'
+
+/**
+ * UnitInfoPanel class - HTML panel describing one unit
+ * Shows the unit's stats (with upgrade and status effect bonuses), the
+ * levels of its owner's upgrades that apply to it, and, for the local
+ * player's units, buttons to research or cancel the next level. Research is
+ * issued as commands through the command handler so it is recorded in replays.
+ */
+export class UnitInfoPanel {
+  constructor(element) {
+    this.element = element
+    this.commandHandler = null // Receives research commands
+    this.html = '' // Last rendered markup (the DOM is only rewritten when it changes)
+
+    // Buttons react on mousedown: the panel re-renders while research progresses,
+    // which could swap a button out between mousedown and mouseup
+    this.element.addEventListener('mousedown', (e) => {
+      const target = e.target.closest('[data-action]')
+      if (!target || target.disabled) return
+      e.preventDefault()
+      this.handleButtonClick(target.dataset.action, target.dataset.upgradeId, Number(target.dataset.playerId))
+    })
+  }
+
+  /**
+   * Route research buttons through a command handler
+   * @param {Function} handler - Called with { type: CommandType.RESEARCH or CANCEL_RESEARCH, playerId, upgradeId }
+   */
+  setCommandHandler(handler) {
+    this.commandHandler = handler
+  }
+
+  /**
+   * Handle a research or cancel button
+   */
+  handleButtonClick(action, upgradeId, playerId) {
+    if (!this.commandHandler) return
+
+    switch (action) {
+      case 'research':
+        this.commandHandler({ type: CommandType.RESEARCH, playerId, upgradeId })
+        break
+      case 'cancelResearch':
+        this.commandHandler({ type: CommandType.CANCEL_RESEARCH, playerId, upgradeId })
+        break
+    }
+  }
+
+  /**
+   * Show a unit, or hide the panel when there is none
+   * @param {Unit|null} unit - Unit to describe
+   * @param {Player|null} owner - The unit's owner (upgrade levels and research)
+   * @param {boolean} canResearch - Show research buttons (the owner is the local player)
+   */
+  update(unit, owner = null, canResearch = false) {
+    const html = unit ? this.getUnitHTML(unit, owner, canResearch) : ''
+    if (html === this.html) return
+
+    this.html = html
+    this.element.innerHTML = html
+    this.element.style.display = unit ? 'block' : 'none'
+  }
+
+  /**
+   * Build the panel markup for a unit
+   */
+  getUnitHTML(unit, owner, canResearch) {
+    let html = `
+      <div class="panel-header">
+        <h3>${unit.name.toUpperCase()}</h3>
+        <div class="unit-owner">${owner ? owner.name : 'Neutral'}</div>
+      </div>
+      <div class="info-section">
+        <div class="info-line">Health: ${Math.ceil(unit.health)} / ${unit.maxHealth}</div>
+        ${unit.maxEnergy > 0 ? `<div class="info-line">Energy: ${Math.floor(unit.energy)} / ${unit.maxEnergy}</div>` : ''}
+        <div class="info-line">Damage: ${this.formatStat(unit, 'attackDamage')}</div>
+        <div class="info-line">Armor: ${this.formatStat(unit, 'armor')}</div>
+        <div class="info-line">Speed: ${this.formatStat(unit, 'speed')}</div>
+      </div>
+    `
+
+    // Timed buffs and debuffs (upgrades are listed below)
+    const effects = unit.statusEffects.filter(effect => effect.remaining !== null)
+    if (effects.length > 0) {
+      html += `
+        <div class="section-title">EFFECTS:</div>
+        <div class="info-section">
+          ${effects.map(effect => `<div class="info-line">${effect.getDefinition().name}${effect.stacks > 1 ? ` ×${effect.stacks}` : ''} (${Math.ceil(effect.remaining / 1000)}s)</div>`).join('')}
+        </div>
+      `
+    }
+
+    const upgrades = getUpgradesForUnitType(unit.type)
+    if (owner && upgrades.length > 0) {
+      html += `
+        <div class="section-title">UPGRADES:</div>
+        ${upgrades.map(upgrade => this.getUpgradeHTML(upgrade, owner, canResearch)).join('')}
+      `
+    }
+    return html
+  }
+
+  /**
+   * Build the markup for one upgrade: its level and research progress or button
+   */
+  getUpgradeHTML(upgrade, owner, canResearch) {
+    const level = owner.getUpgradeLevel(upgrade.id)
+    const research = owner.getResearch(upgrade.id)
+    let html = `<div class="info-line">${upgrade.name}: ${level} / ${upgrade.levels.length}</div>`
+
+    if (research) {
+      const progress = Math.floor((1 - research.remaining / research.duration) * 100)
+      html += `
+        <div class="research-progress"><div class="research-progress-bar" style="width: ${progress}%"></div></div>
+        ${canResearch ? `<button class="editor-btn danger-btn" data-action="cancelResearch" data-upgrade-id="${upgrade.id}" data-player-id="${owner.id}">Cancel</button>` : ''}
+      `
+    } else if (canResearch && level < upgrade.levels.length) {
+      const { minerals, gas, researchTime } = getResearchCost(upgrade, level + 1)
+      html += `
+        <button class="editor-btn" data-action="research" data-upgrade-id="${upgrade.id}" data-player-id="${owner.id}" ${owner.canResearch(upgrade.id) ? '' : 'disabled'}>
+          Level ${level + 1}: ${minerals}M / ${gas}G, ${researchTime / 1000}s
+        </button>
+      `
+    }
+    return `<div class="upgrade-entry">${html}</div>`
+  }
+
+  /**
+   * Format a stat as its base value plus the bonus from upgrades and effects, e.g. "5 (+2)"
+   */
+  formatStat(unit, stat) {
+    const base = unit[stat]
+    const bonus = Math.round((unit.getStat(stat) - base) * 10) / 10
+    if (bonus === 0) return `${base}`
+    return `${base} (${bonus > 0 ? '+' : ''}${bonus})`
+  }
+}
@@ -0,0 +1,666 @@
+// UnitRenderer.js - Asset loading and drawing for data-driven unit types
+
+import { UnitState } from './Unit.js'
+import { COLOR_PALETTES } from './ColorShader.js'
+import { RenderLayer } from './RenderQueue.js'
+import { getBurrowDepth } from './Abilities.js'
+
+// How long a health bar shows the health just gained
+const HEAL_EFFECT_DURATION = 600 // Milliseconds
+
+// Status effect overlays (key: the effect definition's overlay, see StatusEffects.js)
+const STATUS_OVERLAY_STYLES = {
+  slow: { kind: 'ring', color: 'rgba(110, 170, 255, 0.7)' },
+  frenzy: { kind: 'ring', color: 'rgba(255, 80, 60, 0.7)', pulse: true },
+  acid: { kind: 'drops', color: '#9be04a' },
+  stun: { kind: 'stars', color: '#ffe860' }
+}
+
+// Images by URL, shared by every renderer (unit types may reuse the same art)
+const imageCache = new Map()
+
+/**
+ * Get a cached image, starting the load the first time a URL is requested
+ */
+function loadImage(src) {
+  let img = imageCache.get(src)
+  if (!img) {
+    img = new Image()
+    img.onerror = () => {
+      console.error(`Failed to load unit image: ${src}`)
+    }
+    img.src = src
+    imageCache.set(src, img)
+  }
+  return img
+}
+
+/**
+ * Load a list of images and call onLoaded once all of them are ready
+ */
+function loadImages(sources, onLoaded) {
+  const images = sources.map(loadImage)
+  let remaining = images.length
+  const done = () => {
+    remaining--
+    if (remaining === 0) onLoaded()
+  }
+
+  images.forEach(img => {
+    if (img.complete && img.naturalWidth > 0) {
+      done()
+    } else {
+      img.addEventListener('load', done, { once: true })
+    }
+  })
+  return images
+}
+
+/**
+ * Fill a layer path template ("{direction}" and "{frame}" placeholders, frames start at 1)
+ */
+function getLayerPath(template, frame, direction = null) {
+  return template.replace('{direction}', direction).replace('{frame}', frame)
+}
+
+/**
+ * UnitRenderer class - Render layer for one unit type
+ * Reads the type's definition (see UnitTypes.js): loads its walk/death layer
+ * images and sprite sheet, keeps a recolored copy per palette, plays its
+ * sounds, and draws any unit of that type from its simulation state. Units
+ * themselves hold no images, so the simulation can run without a DOM.
+ */
+export class UnitRenderer {
+  /**
+   * @param {Object} definition - Unit type definition
+   * @param {ColorShader} colorShader - Recolors art to team colors (optional)
+   */
+  constructor(definition, colorShader = null) {
+    this.definition = definition
+    this.colorShader = colorShader
+
+    const { sprites = {}, sounds = {}, palette = {} } = definition
+    this.scale = sprites.scale || 1
+    this.sheet = sprites.sheet || null // Sprite sheet layout
+    this.sourcePalette = palette.source || 'magenta' // Colors the art is drawn in
+    this.teamColor = palette.teamColor !== false
+
+    // Original layers
+    this.walkLayers = {} // Organized by file direction
+    this.walkLayersLoaded = false
+    this.deathLayers = []
+    this.deathLayersLoaded = false
+
+    // Recolored layers per palette key: { walk: {dir: [canvas]}, death: [canvas] }
+    this.paletteLayers = new Map()
+
+    // Running health bar heal animations per unit: { from, startTime }
+    this.healEffects = new WeakMap()
+
+    this.spriteSheet = null
+    this.spriteSheetLoaded = false
+    this.pendingPalettes = null // Palettes to preload once the sprite sheet loads
+
+    // Sounds by name (e.g. death)
+    this.sounds = {}
+    Object.entries(sounds).forEach(([name, src]) => {
+      const sound = new Audio(src)
+      sound.volume = 0.5 // Set volume to 50%
+      this.sounds[name] = sound
+    })
+
+    if (sprites.layers?.walk) this.loadWalkLayers(sprites.layers.walk)
+    if (sprites.layers?.death) this.loadDeathLayers(sprites.layers.death)
+    if (this.sheet) this.loadSpriteSheet(this.sheet.image)
+  }
+
+  /**
+   * Load walk/run animation layer images
+   * Directions 0-7 (0=Up, going clockwise)
+   * Files: 0=UP, 1=UP-RIGHT, 2=RIGHT, 3=DOWN-RIGHT, 8=DOWN
+   * Left side (5,6,7) will mirror from right side (3,2,1)
+   */
+  loadWalkLayers({ path, directions }) {
+    const frames = this.definition.animations.walk.frames
+    const sources = []
+
+    directions.forEach(dir => {
+      for (let frame = 1; frame <= frames; frame++) {
+        sources.push(getLayerPath(path, frame, dir))
+      }
+    })
+
+    const images = loadImages(sources, () => {
+      this.walkLayersLoaded = true
+    })
+    directions.forEach((dir, i) => {
+      this.walkLayers[dir] = images.slice(i * frames, (i + 1) * frames)
+    })
+  }
+
+  /**
+   * Load death animation layer images
+   */
+  loadDeathLayers({ path }) {
+    const frames = this.definition.animations.death.frames
+    const sources = []
+    for (let frame = 1; frame <= frames; frame++) {
+      sources.push(getLayerPath(path, frame))
+    }
+
+    this.deathLayers = loadImages(sources, () => {
+      this.deathLayersLoaded = true
+    })
+  }
+
+  /**
+   * Load the sprite sheet used for attack animations and as a fallback
+   */
+  loadSpriteSheet(src) {
+    this.spriteSheet = loadImages([src], () => {
+      this.spriteSheetLoaded = true
+      if (this.pendingPalettes) {
+        this.preloadPalettes(this.pendingPalettes)
+        this.pendingPalettes = null
+      }
+    })[0]
+  }
+
+  /**
+   * Check if a palette needs recoloring (the art is already in its source palette)
+   */
+  needsRecolor(paletteKey) {
+    return this.colorShader && this.teamColor && paletteKey && paletteKey !== this.sourcePalette
+  }
+
+  /**
+   * Get walk/death layers recolored for a palette (cached per palette)
+   */
+  getLayers(paletteKey) {
+    if (!this.needsRecolor(paletteKey)) {
+      return { walk: this.walkLayers, death: this.deathLayers }
+    }
+
+    let layers = this.paletteLayers.get(paletteKey)
+    if (!layers) {
+      layers = { walk: null, death: null }
+      this.paletteLayers.set(paletteKey, layers)
+    }
+
+    // Recolor each animation once its source images have loaded
+    if (!layers.walk && this.walkLayersLoaded) {
+      layers.walk = {}
+      Object.entries(this.walkLayers).forEach(([dir, images]) => {
+        layers.walk[dir] = images.map(img => this.recolorImage(img, paletteKey))
+      })
+    }
+    if (!layers.death && this.deathLayersLoaded) {
+      layers.death = this.deathLayers.map(img => this.recolorImage(img, paletteKey))
+    }
+
+    return {
+      walk: layers.walk || this.walkLayers,
+      death: layers.death || this.deathLayers
+    }
+  }
+
+  /**
+   * Recolor a single image using the color shader
+   * @param {Image} img - Source image
+   * @param {string} paletteKey - Color palette key
+   * @returns {Canvas} Canvas with recolored image
+   */
+  recolorImage(img, paletteKey) {
+    if (!img.complete) {
+      return img // Return original if not loaded yet
+    }
+
+    // Create canvas to hold the recolored image
+    const canvas = document.createElement('canvas')
+    canvas.width = img.width
+    canvas.height = img.height
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+
+    // Draw original image
+    ctx.drawImage(img, 0, 0)
+
+    // Apply color shader
+    const palette = COLOR_PALETTES[paletteKey]
+    if (palette && palette.colors) {
+      this.colorShader.applyColorReplacement(
+        ctx,
+        canvas.width,
+        canvas.height,
+        palette.colors
+      )
+    }
+
+    return canvas
+  }
+
+  /**
+   * Recolor the sprite sheet frames for palettes ahead of time (optional, avoids hitches)
+   * Waits for the sprite sheet if it hasn't loaded yet.
+   */
+  preloadPalettes(paletteKeys) {
+    if (!this.sheet || !this.colorShader) return
+    if (!this.spriteSheetLoaded) {
+      this.pendingPalettes = paletteKeys
+      return
+    }
+
+    const sheet = this.sheet
+    const config = {
+      SPRITE_WIDTH: sheet.frameWidth,
+      SPRITE_HEIGHT: sheet.frameHeight,
+      SPRITE_OFFSET_X: sheet.offsetX,
+      SPRITE_OFFSET_Y: sheet.offsetY,
+      SPRITE_SPACING_X: sheet.spacingX,
+      SPRITE_SPACING_Y: sheet.spacingY,
+      SPRITE_SHEET: sheet.animations
+    }
+    paletteKeys
+      .filter(paletteKey => this.needsRecolor(paletteKey))
+      .forEach(paletteKey => this.colorShader.preloadPalette(this.spriteSheet, config, paletteKey))
+  }
+
+  /**
+   * Play one of the type's sounds by name
+   */
+  playSound(name) {
+    const sound = this.sounds[name]
+    if (!sound) return
+
+    sound.currentTime = 0 // Reset to start in case it's already playing
+    sound.play().catch(error => {
+      console.log(`Could not play ${name} sound:`, error)
+    })
+  }
+
+  /**
+   * Play the death sound (subscribed to the simulation's unitKilled event)
+   */
+  playDeathSound() {
+    this.playSound('death')
+  }
+
+  /**
+   * Start (or extend) a unit's health bar heal animation (subscribed to the simulation's unitHealed event)
+   * Heals that keep coming, such as a healing pool, extend one animation from
+   * the health the unit had when the first one landed.
+   */
+  addHealEffect(unit, amount, now = performance.now()) {
+    const effect = this.getHealEffect(unit, now)
+    const from = effect ? effect.from : unit.health - amount
+    this.healEffects.set(unit, { from, startTime: now })
+  }
+
+  /**
+   * Get a unit's running heal animation, if any
+   */
+  getHealEffect(unit, now = performance.now()) {
+    const effect = this.healEffects.get(unit)
+    if (!effect || now - effect.startTime >= HEAL_EFFECT_DURATION) return null
+    return effect
+  }
+
+  /**
+   * Submit a unit's draw calls to the render layers
+   * Living units draw shadow, selection circle, sprite and health bar in their
+   * own layers; corpses go to the ground layer under everything else.
+   * @param {RenderQueue} queue
+   * @param {Unit} unit
+   * @param {number} alpha - Render interpolation factor between ticks
+   * @param {string} selectionColor - Selection circle color (tells own, allied and enemy units apart)
+   */
+  submit(queue, unit, alpha = 1, selectionColor = '#249824') {
+    if (!this.spriteSheetLoaded) {
+      // Fall back to the unit's placeholder drawing until the sprite sheet loads
+      unit.submitDraw(queue, alpha)
+      return
+    }
+
+    const pos = unit.getRenderPosition(alpha)
+
+    if (!unit.isAlive()) {
+      queue.submit(RenderLayer.GROUND, ctx => this.drawAt(ctx, pos, () => this.drawSprite(ctx, unit)), pos.y)
+      return
+    }
+
+    // Fully burrowed units cast no shadow
+    if (getBurrowDepth(unit) < 1) {
+      queue.submit(RenderLayer.SHADOWS, ctx => this.drawAt(ctx, pos, () => this.drawShadow(ctx, unit)), pos.y)
+    }
+    if (unit.selected) {
+      queue.submit(RenderLayer.SELECTION, ctx => this.drawAt(ctx, pos, () => this.drawSelectionCircle(ctx, unit, selectionColor)), pos.y)
+    }
+    queue.submit(RenderLayer.UNITS, ctx => this.drawAt(ctx, pos, () => this.drawSprite(ctx, unit)), pos.y)
+    if (unit.statusEffects.some(effect => effect.getDefinition().overlay)) {
+      queue.submit(RenderLayer.EFFECTS, ctx => this.drawAt(ctx, pos, () => this.drawStatusOverlays(ctx, unit)), pos.y)
+    }
+    const healEffect = this.getHealEffect(unit)
+    if (unit.health < unit.maxHealth || healEffect) {
+      queue.submit(RenderLayer.HEALTH_BARS, ctx => this.drawAt(ctx, pos, () => this.drawHealthBar(ctx, unit, healEffect)), pos.y)
+    }
+  }
+
+  /**
+   * Run a draw function with the context translated to a position
+   */
+  drawAt(ctx, pos, draw) {
+    ctx.save()
+    ctx.translate(pos.x, pos.y)
+    draw()
+    ctx.restore()
+  }
+
+  /**
+   * Draw the unit's current animation frame (centered on the origin)
+   */
+  drawSprite(ctx, unit) {
+    const burrowDepth = getBurrowDepth(unit)
+    if (burrowDepth > 0 && unit.isAlive()) {
+      this.drawBurrowed(ctx, unit, burrowDepth)
+      return
+    }
+
+    // If dead and death layers are loaded, use layer-based animation
+    if (unit.state === UnitState.DEAD && this.deathLayersLoaded) {
+      this.drawDeathAnimation(ctx, unit)
+    } else if ((unit.state === UnitState.WALKING || unit.state === UnitState.IDLE) && this.walkLayersLoaded) {
+      // Use walk layer images
+      this.drawWalkAnimation(ctx, unit)
+    } else {
+      // Use sprite sheet for normal animations (fallback)
+      this.drawSpriteSheetAnimation(ctx, unit)
+    }
+  }
+
+  /**
+   * Draw a burrowing, burrowed or unburrowing unit
+   * While the transition plays the unit sinks into (or rises out of) the
+   * ground, cut off at its feet; once underground it is drawn faintly, as
+   * only its owner and allies see it.
+   * @param {number} depth - 0 above ground to 1 fully burrowed (see getBurrowDepth)
+   */
+  drawBurrowed(ctx, unit, depth) {
+    const draw = () => {
+      if (this.walkLayersLoaded) {
+        this.drawWalkAnimation(ctx, unit)
+      } else {
+        this.drawSpriteSheetAnimation(ctx, unit)
+      }
+    }
+
+    ctx.save()
+    if (depth >= 1) {
+      ctx.globalAlpha = 0.4
+      draw()
+    } else {
+      const groundY = unit.height / 4
+      ctx.beginPath()
+      ctx.rect(-unit.width, -unit.height * 2, unit.width * 2, unit.height * 2 + groundY)
+      ctx.clip()
+      ctx.translate(0, depth * unit.height * 0.75)
+      draw()
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Draw a layer image centered on the origin at the type's sprite scale
+   */
+  drawLayer(ctx, layer) {
+    // Check if layer is ready: Canvas elements don't have .complete, Images do
+    const isReady = layer && (layer instanceof HTMLCanvasElement || layer.complete)
+    if (!isReady) return
+
+    const width = layer.width * this.scale
+    const height = layer.height * this.scale
+    ctx.drawImage(layer, -width / 2, -height / 2, width, height)
+  }
+
+  /**
+   * Draw walk animation using layer images
+   * Direction mapping: 0=Up, 1=Up-Right, 2=Right, 3=Down-Right, 4=Down, 5=Down-Left, 6=Left, 7=Up-Left
+   * Files available: 0 (UP), 1, 2, 3, 8 (DOWN) - left side mirrors right side
+   */
+  drawWalkAnimation(ctx, unit) {
+    // Map internal direction (0-7) to file direction
+    // Right half of circle uses real files, left half mirrors them
+    let fileDir = unit.direction
+    let shouldMirrorHorizontal = false
+
+    // Direction mapping:
+    // 0 = UP → file 0
+    // 1 = UP-RIGHT → file 1
+    // 2 = RIGHT → file 2
+    // 3 = DOWN-RIGHT → file 3
+    // 4 = DOWN → file 8
+    // 5 = DOWN-LEFT → mirror file 3
+    // 6 = LEFT → mirror file 2
+    // 7 = UP-LEFT → mirror file 1
+
+    if (unit.direction === 4) {
+      fileDir = 8 // DOWN uses file 8
+    } else if (unit.direction === 5) {
+      fileDir = 3 // DOWN-LEFT mirrors DOWN-RIGHT
+      shouldMirrorHorizontal = true
+    } else if (unit.direction === 6) {
+      fileDir = 2 // LEFT mirrors RIGHT
+      shouldMirrorHorizontal = true
+    } else if (unit.direction === 7) {
+      fileDir = 1 // UP-LEFT mirrors UP-RIGHT
+      shouldMirrorHorizontal = true
+    }
+
+    // Get the walk layers for this direction
+    const directionLayers = this.getLayers(unit.colorPalette).walk[fileDir]
+    if (!directionLayers) {
+      return // No layers for this direction
+    }
+
+    const frameIndex = Math.floor(unit.currentFrame)
+    if (frameIndex >= 0 && frameIndex < directionLayers.length) {
+      // Apply horizontal mirroring if needed (for left side directions)
+      if (shouldMirrorHorizontal) {
+        ctx.scale(-1, 1)
+      }
+      this.drawLayer(ctx, directionLayers[frameIndex])
+    }
+  }
+
+  /**
+   * Draw death animation using layer images
+   */
+  drawDeathAnimation(ctx, unit) {
+    const deathLayers = this.getLayers(unit.colorPalette).death
+    const layerIndex = Math.floor(unit.currentFrame)
+    if (layerIndex >= 0 && layerIndex < deathLayers.length) {
+      this.drawLayer(ctx, deathLayers[layerIndex])
+    }
+  }
+
+  /**
+   * Draw animation from sprite sheet
+   */
+  drawSpriteSheetAnimation(ctx, unit) {
+    // Animations the sheet doesn't have (e.g. casting) use the walk frames
+    const sheet = this.sheet
+    const anim = sheet.animations[unit.getAnimationType()] || sheet.animations.walk
+    if (!anim) return
+
+    // Calculate sprite position on sheet
+    // Animations run DOWN columns (vertically)
+    // For directions 5-7 (upper right quadrant), we mirror from directions 3-1
+    let spriteDir = unit.direction
+    let flipHorizontal = false
+
+    if (unit.direction >= 5) {
+      // Mirror upper-right directions from upper-left
+      // Direction 5 (down-right) mirrors from 3 (up-right) -> actually should mirror from direction 7
+      // Direction 6 (down) uses direction 2 (up)
+      // Direction 7 (down-left) mirrors from 1 (up-left)
+      spriteDir = 8 - unit.direction
+      flipHorizontal = true
+    }
+
+    // The simulation's frame count may differ from the sheet's (layer-based walk/death)
+    const col = anim.startCol + spriteDir
+    const row = anim.startRow + (unit.currentFrame % anim.frames)
+    const sx = sheet.offsetX + col * (sheet.frameWidth + sheet.spacingX)
+    const sy = sheet.offsetY + row * (sheet.frameHeight + sheet.spacingY)
+
+    // Apply horizontal flip if needed
+    if (flipHorizontal) {
+      ctx.scale(-1, 1)
+    }
+
+    try {
+      // Draw sprite with color replacement
+      if (this.needsRecolor(unit.colorPalette)) {
+        // Use color shader for recolored sprites
+        const recoloredSprite = this.colorShader.getRecoloredSprite(
+          this.spriteSheet,
+          sx, sy,
+          sheet.frameWidth, sheet.frameHeight,
+          unit.colorPalette
+        )
+        ctx.drawImage(
+          recoloredSprite,
+          0, 0, sheet.frameWidth, sheet.frameHeight,
+          -unit.width / 2, -unit.height / 2, unit.width, unit.height
+        )
+      } else {
+        // Draw original sprite
+        ctx.drawImage(
+          this.spriteSheet,
+          sx, sy, sheet.frameWidth, sheet.frameHeight,
+          -unit.width / 2, -unit.height / 2, unit.width, unit.height
+        )
+      }
+    } catch (error) {
+      // Fallback to circle if there's an error
+      ctx.fillStyle = '#ff0000'
+      ctx.beginPath()
+      ctx.arc(0, 0, 20, 0, Math.PI * 2)
+      ctx.fill()
+    }
+  }
+
+  /**
+   * Draw shadow under unit
+   */
+  drawShadow(ctx, unit) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)' // Semi-transparent black
+    ctx.beginPath()
+    // Shadow is an ellipse at the base of the unit
+    ctx.ellipse(
+      0, // x - centered
+      unit.height / 6, // y - near bottom of unit
+      (unit.width / 4) * unit.shadowScale, // horizontal radius
+      (unit.height / 6) * unit.shadowScale, // vertical radius (flatter)
+      0, // rotation
+      0, // start angle
+      Math.PI * 2 // end angle
+    )
+    ctx.fill()
+  }
+
+  /**
+   * Draw selection circle underneath unit
+   */
+  drawSelectionCircle(ctx, unit, color = '#249824') {
+    // Draw outline using same shape as shadow
+    ctx.strokeStyle = color
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.ellipse(
+      0, // x - centered
+      unit.height / 6, // y - near bottom of unit (same as shadow)
+      (unit.width / 4) * unit.shadowScale * unit.selectionScale, // horizontal radius
+      (unit.height / 6) * unit.shadowScale * unit.selectionScale, // vertical radius
+      0, // rotation
+      0, // start angle
+      Math.PI * 2 // end angle
+    )
+    ctx.stroke()
+  }
+
+  /**
+   * Draw the overlays of the unit's active status effects
+   * Overlays animate on wall-clock time; they are visual only.
+   */
+  drawStatusOverlays(ctx, unit, now = performance.now()) {
+    unit.statusEffects.forEach(effect => {
+      const style = STATUS_OVERLAY_STYLES[effect.getDefinition().overlay]
+      if (!style) return
+
+      ctx.save()
+      ctx.strokeStyle = style.color
+      ctx.fillStyle = style.color
+      ctx.lineWidth = 2
+      switch (style.kind) {
+        case 'ring': {
+          // Ellipse around the unit's feet
+          const pulse = style.pulse ? 1 + Math.sin(now / 120) * 0.1 : 1
+          ctx.beginPath()
+          ctx.ellipse(0, unit.height / 4, unit.collisionRadius * 1.4 * pulse, unit.collisionRadius * 0.7 * pulse, 0, 0, Math.PI * 2)
+          ctx.stroke()
+          break
+        }
+        case 'drops':
+          // One falling drop per stack
+          for (let i = 0; i < effect.stacks; i++) {
+            const fall = ((now / 600 + i / effect.stacks) % 1) * unit.height / 2
+            ctx.beginPath()
+            ctx.arc((i - (effect.stacks - 1) / 2) * 8, -unit.height / 4 + fall, 2, 0, Math.PI * 2)
+            ctx.fill()
+          }
+          break
+        case 'stars':
+          // Stars circling above the head
+          for (let i = 0; i < 3; i++) {
+            const angle = now / 300 + (i / 3) * Math.PI * 2
+            ctx.beginPath()
+            ctx.arc(Math.cos(angle) * 10, -unit.height / 2 + Math.sin(angle) * 3, 2, 0, Math.PI * 2)
+            ctx.fill()
+          }
+          break
+      }
+      ctx.restore()
+    })
+  }
+
+  /**
+   * Draw health bar above unit
+   * @param {Object} healEffect - Running heal animation ({ from, startTime }), if any
+   */
+  drawHealthBar(ctx, unit, healEffect = null) {
+    const barWidth = unit.width
+    const barHeight = 4
+    const barY = -unit.height / 2 - 10
+
+    // Background (red)
+    ctx.fillStyle = '#ff0000'
+    ctx.fillRect(-barWidth / 2, barY, barWidth, barHeight)
+
+    // Health (green)
+    const healthWidth = (unit.health / unit.maxHealth) * barWidth
+    ctx.fillStyle = '#00ff00'
+    ctx.fillRect(-barWidth / 2, barY, healthWidth, barHeight)
+
+    // Health just gained flashes and fades back to green
+    if (healEffect) {
+      const progress = (performance.now() - healEffect.startTime) / HEAL_EFFECT_DURATION
+      const fromWidth = (Math.max(0, healEffect.from) / unit.maxHealth) * barWidth
+      ctx.fillStyle = `rgba(200, 255, 200, ${1 - progress})`
+      ctx.fillRect(-barWidth / 2 + fromWidth, barY, healthWidth - fromWidth, barHeight)
+    }
+
+    // Border
+    ctx.strokeStyle = '#ffffff'
+    ctx.lineWidth = 1
+    ctx.strokeRect(-barWidth / 2, barY, barWidth, barHeight)
+  }
+}
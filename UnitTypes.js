@@ -0,0 +1,136 @@
+// UnitTypes.js - Registry of data-driven unit definitions
+
+import { Unit } from './Unit.js'
+import zergling from './units/zergling.json' with { type: 'json' }
+import hydralisk from './units/hydralisk.json' with { type: 'json' }
+import drone from './units/drone.json' with { type: 'json' }
+import ultralisk from './units/ultralisk.json' with { type: 'json' }
+
+export const DEFAULT_UNIT_TYPE = 'zergling'
+
+/**
+ * Build the Unit constructor config for a definition
+ * Simulation fields come from stats/size/display/animations; sprites, sounds
+ * and palette are only read by renderers.
+ */
+function getUnitConfig(definition) {
+  const { stats, size, display = {} } = definition
+  return {
+    type: definition.id,
+    name: definition.name,
+    speed: stats.speed,
+    health: stats.health,
+    maxHealth: stats.health,
+    regeneration: stats.regeneration,
+    attackRange: stats.attackRange,
+    attackDamage: stats.attackDamage,
+    damageType: stats.damageType,
+    armor: stats.armor,
+    unitSize: size.class,
+    attackCooldownMax: stats.attackCooldown,
+    acquisitionRange: stats.acquisitionRange,
+    autoAcquire: stats.autoAcquire,
+    retaliate: stats.retaliate,
+    width: size.width,
+    height: size.height,
+    collisionRadius: size.collisionRadius,
+    shadowScale: display.shadowScale,
+    selectionScale: display.selectionScale,
+    projectile: definition.projectile || null,
+    abilities: definition.abilities || [],
+    maxEnergy: stats.energy,
+    energyRegeneration: stats.energyRegeneration,
+    animations: definition.animations,
+    corpseDuration: definition.corpseDuration
+  }
+}
+
+/**
+ * UnitTypeRegistry class - Unit definitions by type id
+ * A definition is plain JSON (see units/*.json):
+ * - id, name
+ * - stats: health, regeneration (health per second), energy, energyRegeneration, armor, speed, attackRange, attackDamage, damageType, attackCooldown,
+ *   acquisitionRange, autoAcquire, retaliate
+ * - projectile: Optional ranged attack { type, mode, speed, hitRadius, arcHeight, impact } (see Projectile.js)
+ * - size: class (small/medium/large, see Damage.js), width, height, collisionRadius
+ * - display: shadowScale, selectionScale
+ * - abilities: Ability ids the type can cast (see Abilities.js)
+ * - animations: { walk, attack, death, ...cast animations } frame counts, fps and looping (simulation timing)
+ * - corpseDuration: Milliseconds a corpse stays after dying
+ * - sprites: layer images and/or a sprite sheet per animation (see UnitRenderer)
+ * - sounds: { death } audio paths
+ * - palette: { source, teamColor } - colors the art is drawn in, and whether units take their owner's color
+ */
+export class UnitTypeRegistry {
+  constructor() {
+    this.definitions = new Map()
+  }
+
+  /**
+   * Add (or replace) a unit definition
+   */
+  register(definition) {
+    if (!definition.id || !definition.stats || !definition.size) {
+      console.warn('Unit definition needs an id, stats and size:', definition)
+      return false
+    }
+    this.definitions.set(definition.id, definition)
+    return true
+  }
+
+  /**
+   * Check if a type id is registered
+   */
+  has(typeId) {
+    return this.definitions.has(typeId)
+  }
+
+  /**
+   * Get a unit definition by type id
+   * @returns {Object|null}
+   */
+  get(typeId) {
+    return this.definitions.get(typeId) || null
+  }
+
+  /**
+   * Get all registered type ids (in registration order)
+   */
+  getIds() {
+    return [...this.definitions.keys()]
+  }
+
+  /**
+   * Get all registered definitions (in registration order)
+   */
+  getAll() {
+    return [...this.definitions.values()]
+  }
+
+  /**
+   * Create a unit of a registered type
+   * @param {string} typeId - Unit type id
+   * @param {Object} options - { id, colorPalette, owner }
+   * @returns {Unit|null} Null if the type is unknown
+   */
+  create(typeId, x, y, { id = null, colorPalette = null, owner = null } = {}) {
+    const definition = this.get(typeId)
+    if (!definition) {
+      console.warn(`Unknown unit type: ${typeId}`)
+      return null
+    }
+
+    return new Unit(x, y, {
+      ...getUnitConfig(definition),
+      id,
+      owner,
+      colorPalette: colorPalette || definition.palette?.source
+    })
+  }
+}
+
+// Registry shared by the simulation and the renderers, with the built-in Zerg units
+export const unitTypes = new UnitTypeRegistry()
+for (const definition of [zergling, hydralisk, drone, ultralisk]) {
+  unitTypes.register(definition)
+}
@@ -0,0 +1,80 @@
+// Upgrades.js - Per-player upgrades researched with minerals and gas
+
+/**
+ * Upgrade definitions by id
+ * Players research upgrades one level at a time (see Player.startResearch);
+ * each level has its own cost and research time. A researched level is
+ * applied to the player's units of the listed types as a permanent status
+ * effect with one stack per level (see StatusEffects.js), both to units that
+ * already exist and to units spawned later. Each upgrade has:
+ * - id, name
+ * - effect: status effect id the levels stack on
+ * - unitTypes: unit type ids it applies to
+ * - levels: [{ minerals, gas, researchTime }] (researchTime in milliseconds)
+ */
+export const UPGRADES = {
+  meleeAttacks: {
+    id: 'meleeAttacks',
+    name: 'Melee Attacks',
+    effect: 'meleeAttacks',
+    unitTypes: ['zergling', 'ultralisk'],
+    levels: [
+      { minerals: 100, gas: 100, researchTime: 30000 },
+      { minerals: 150, gas: 150, researchTime: 40000 },
+      { minerals: 200, gas: 200, researchTime: 50000 }
+    ]
+  },
+  carapace: {
+    id: 'carapace',
+    name: 'Carapace',
+    effect: 'carapace',
+    unitTypes: ['zergling', 'hydralisk', 'drone', 'ultralisk'],
+    levels: [
+      { minerals: 150, gas: 150, researchTime: 30000 },
+      { minerals: 225, gas: 225, researchTime: 40000 },
+      { minerals: 300, gas: 300, researchTime: 50000 }
+    ]
+  },
+  metabolicBoost: {
+    id: 'metabolicBoost',
+    name: 'Metabolic Boost',
+    effect: 'metabolicBoost',
+    unitTypes: ['zergling'],
+    levels: [
+      { minerals: 100, gas: 100, researchTime: 30000 }
+    ]
+  },
+  adrenalGlands: {
+    id: 'adrenalGlands',
+    name: 'Adrenal Glands',
+    effect: 'adrenalGlands',
+    unitTypes: ['zergling'],
+    levels: [
+      { minerals: 200, gas: 200, researchTime: 45000 }
+    ]
+  }
+}
+
+/**
+ * Get an upgrade definition by id
+ * @returns {Object|null}
+ */
+export function getUpgrade(upgradeId) {
+  return UPGRADES[upgradeId] || null
+}
+
+/**
+ * Get the upgrades that apply to a unit type
+ * @returns {Array} Upgrade definitions
+ */
+export function getUpgradesForUnitType(unitType) {
+  return Object.values(UPGRADES).filter(upgrade => upgrade.unitTypes.includes(unitType))
+}
+
+/**
+ * Get the cost and research time of an upgrade level (1-based)
+ * @returns {Object|null} { minerals, gas, researchTime }, null past the upgrade's last level
+ */
+export function getResearchCost(upgrade, level) {
+  return upgrade.levels[level - 1] || null
+}
@@ -1,38 +1,92 @@
 import './style.css'
-import { Zergling } from './Zergling.js'
-import { UnitState } from './Unit.js'
-import { ColorShader, getRandomPalette } from './ColorShader.js'
-import { Grid, TILE_SIZE } from './Grid.js'
-import { findPath, smoothPath } from './Pathfinding.js'
-import { findPixelPath, optimizePixelPath } from './PixelPathfinding.js'
+import { UnitRenderer } from './UnitRenderer.js'
+import { ProjectileRenderer } from './ProjectileRenderer.js'
+import { ColorShader } from './ColorShader.js'
+import { TILE_SIZE } from './Grid.js'
+import { Simulation, CommandType } from './Simulation.js'
+import { UnitOrder } from './Unit.js'
+import { AbilityTarget, getAbility } from './Abilities.js'
+import { unitTypes } from './UnitTypes.js'
+import { ReplayRecorder, ReplayPlayer, parseReplay } from './Replay.js'
+import { createSeed } from './Random.js'
+import { SaveGameManager, QUICK_SAVE_SLOT } from './SaveGame.js'
+import { GameEvent } from './EventBus.js'
+import { HealthChangeCause } from './Healing.js'
+import { PerformanceOverlay } from './PerformanceOverlay.js'
+import { RenderQueue, RenderLayer } from './RenderQueue.js'
 import { MapEditor } from './MapEditor.js'
 import { Cursor } from './Cursor.js'
+import { Camera } from './Camera.js'
+import { Minimap } from './Minimap.js'
+import { UnitInfoPanel } from './UnitInfoPanel.js'
+import { GameLoop, TICK_RATE } from './GameLoop.js'
 
 // Game constants
-const CANVAS_WIDTH = 640
-const CANVAS_HEIGHT = 480
+const WORLD_WIDTH = 1600
+const WORLD_HEIGHT = 1200
+
+// Waypoint line and marker colors by order type (UnitOrder)
+const WAYPOINT_COLORS = {
+  [UnitOrder.MOVE]: '#24d824',
+  [UnitOrder.FOLLOW]: '#24d824',
+  [UnitOrder.ATTACK]: '#d82424',
+  [UnitOrder.ATTACK_MOVE]: '#d82424',
+  [UnitOrder.PATROL]: '#d8c824',
+  [UnitOrder.HOLD]: '#d8c824'
+}
+
+// Selection circle colors by relation to the local player
+const SELECTION_COLORS = {
+  own: '#249824',
+  ally: '#d8c824',
+  enemy: '#d82424'
+}
+
+// Status effects applied to the selection by number keys in debug mode
+const DEBUG_STATUS_EFFECTS = {
+  1: 'slow',
+  2: 'stun',
+  3: 'frenzy',
+  4: 'acid'
+}
 
 // Game state
 const game = {
   canvas: null,
   ctx: null,
-  spriteSheet: null,
+  viewWidth: 0, // Canvas size in CSS pixels (screen coordinates)
+  viewHeight: 0,
+  pixelRatio: 1, // Backing store pixels per CSS pixel
   colorShader: null,
-  grid: null,
+  simulation: null, // Headless game state (units, grid, combat, pathing)
+  recorder: null, // Command log of the live match
+  replayPlayer: null, // Set while a replay is being played back
+  liveSimulation: null, // Live match, kept aside during replay playback
+  unitRenderers: {}, // Render layer, keyed by unit type
+  projectileRenderer: new ProjectileRenderer(), // Projectiles in flight and impact effects
+  renderQueue: new RenderQueue(), // World-space draw calls, flushed once per frame by layer
+  saveGames: null, // Named save slots (localStorage)
+  eventSubscriptions: [], // Unsubscribe functions for the current simulation's events
   mapEditor: null,
-  units: [],
-  selectedUnits: [],
+  camera: null, // Viewport into the world (screen <-> world coordinates)
+  minimap: null,
+  unitInfoPanel: null,
+  localPlayerId: 1, // Player controlled by this client (Tab cycles for hot-seat testing)
+  pendingCommand: null, // Command type waiting for a target click (e.g. attack-move after A)
+  pendingAbility: null, // Ability id of a pending cast command
   isSelecting: false,
   selectionStart: { x: 0, y: 0 },
   selectionEnd: { x: 0, y: 0 },
   keys: {},
-  mouse: { x: 0, y: 0 },
+  mouse: { x: 0, y: 0 }, // Screen coordinates
+  mouseInCanvas: false,
   hoveredTile: null,
   clickedOnUnit: false,
   obstacleEditMode: false,
   
   // Background image overlay
   backgroundImage: null,
+  backgroundImagePath: null,
   backgroundImageLoaded: false,
   backgroundImageOffset: { x: 0, y: 0 },
   backgroundImageOpacity: 1.0,
@@ -40,47 +94,58 @@ const game = {
   // Animated cursor
   cursor: null,
   
+  // Fixed-timestep loop driving update() and render()
+  loop: null,
+  
   // Debug mode
-  debugMode: false
+  debugMode: false,
+  perfOverlay: null // Frame timing and work counters (drawn in debug mode)
 }
 
 // Initialize game
 function init() {
   game.canvas = document.getElementById('gameCanvas')
   game.ctx = game.canvas.getContext('2d')
-  
-  game.canvas.width = CANVAS_WIDTH
-  game.canvas.height = CANVAS_HEIGHT
 
-  // Initialize grid
-  game.grid = new Grid(CANVAS_WIDTH, CANVAS_HEIGHT, TILE_SIZE)
+  // Initialize simulation (owns the grid and units) and record its commands
+  game.simulation = new Simulation({ width: WORLD_WIDTH, height: WORLD_HEIGHT, tileSize: TILE_SIZE, seed: createSeed() })
+  game.recorder = new ReplayRecorder(game.simulation)
+  game.saveGames = new SaveGameManager()
+  
+  // Camera starts centered on the world (view size is set by resizeCanvas)
+  game.camera = new Camera(0, 0, WORLD_WIDTH, WORLD_HEIGHT)
+  resizeCanvas()
+  game.camera.centerOn(WORLD_WIDTH / 2, WORLD_HEIGHT / 2)
+  game.minimap = new Minimap(document.getElementById('minimapCanvas'))
+  game.unitInfoPanel = new UnitInfoPanel(document.getElementById('unitInfoPanel'))
+  game.unitInfoPanel.setCommandHandler(issueCommand) // Research is recorded like any other command
   
   // Initialize map editor
-  game.mapEditor = new MapEditor(game.grid)
+  game.mapEditor = new MapEditor(game.simulation.grid)
   game.mapEditor.setGame(game) // Set game reference for button access
+  game.mapEditor.setCommandHandler(issueCommand) // Tile edits are recorded like any other command
   
   // Add some unwalkable obstacles
   createObstacles()
 
   // Initialize color shader
   game.colorShader = new ColorShader()
+  
+  // One renderer per unit type (each loads its own layers and sprite sheet)
+  unitTypes.getAll().forEach(definition => {
+    game.unitRenderers[definition.id] = new UnitRenderer(definition, game.colorShader)
+  })
+  subscribeToSimulation(game.simulation)
 
-  // Load sprite sheet
-  game.spriteSheet = new Image()
-  game.spriteSheet.src = '/images/PC _ Computer - StarCraft - Zerg - Zerg Zergling.png'
-  game.spriteSheet.onload = () => {
-    console.log('Sprite sheet loaded!')
-    
-    // Preload color palettes (optional, for better performance)
-    preloadPalettes()
-    
-    // Create initial units AFTER sprite sheet loads
-    spawnUnit(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2, 'red')
-    spawnUnit(CANVAS_WIDTH / 2 + 60, CANVAS_HEIGHT / 2, 'blue')
-    spawnUnit(CANVAS_WIDTH / 2 - 60, CANVAS_HEIGHT / 2, 'green')
-    
-    console.log(`Spawned ${game.units.length} units`)
-  }
+  // Preload color palettes (optional, for better performance)
+  preloadPalettes()
+  
+  // Create initial units (the simulation doesn't wait for assets)
+  spawnUnit(WORLD_WIDTH / 2, WORLD_HEIGHT / 2, 'red')
+  spawnUnit(WORLD_WIDTH / 2 + 60, WORLD_HEIGHT / 2, 'blue')
+  spawnUnit(WORLD_WIDTH / 2 - 60, WORLD_HEIGHT / 2, 'green')
+  
+  console.log(`Spawned ${game.simulation.units.length} units`)
   
   // Initialize animated cursor with multiple states
   game.cursor = new Cursor({
@@ -93,6 +158,7 @@ function init() {
     ],
     dragSelect: '/images/cursor/cursor_drag_select.png'
   }, 100) // 100ms per frame for animated states
+  game.cursor.addDrawnState('target', drawTargetCursor)
   
   // Load background image
   loadBackgroundImage('/images/maps/space.png')
@@ -101,41 +167,265 @@ function init() {
   game.canvas.addEventListener('mousedown', handleMouseDown)
   game.canvas.addEventListener('mousemove', handleMouseMove)
   game.canvas.addEventListener('mouseup', handleMouseUp)
+  game.canvas.addEventListener('mouseenter', () => { game.mouseInCanvas = true })
+  game.canvas.addEventListener('mouseleave', handleMouseLeave)
   game.canvas.addEventListener('contextmenu', handleRightClick)
+  game.canvas.addEventListener('wheel', handleWheel, { passive: false })
+  game.minimap.canvas.addEventListener('mousedown', handleMinimapMouseDown)
+  game.minimap.canvas.addEventListener('mousemove', handleMinimapMouseMove)
+  game.minimap.canvas.addEventListener('mouseup', () => { game.minimap.isDragging = false })
+  game.minimap.canvas.addEventListener('mouseleave', () => { game.minimap.isDragging = false })
+  game.minimap.canvas.addEventListener('contextmenu', e => e.preventDefault())
+  window.addEventListener('resize', resizeCanvas)
   window.addEventListener('keydown', handleKeyDown)
   window.addEventListener('keyup', handleKeyUp)
 
-  // Start game loop
-  let lastTime = performance.now()
+  game.perfOverlay = new PerformanceOverlay()
+
+  // Start game loop: simulation runs on fixed ticks, rendering once per frame
+  game.loop = new GameLoop({
+    tick: update,
+    frame: updateFrame,
+    render
+  })
+  game.loop.start()
+}
+
+/**
+ * Size the canvas to fill its container, with a backing store at the device pixel ratio
+ * Everything outside this function works in CSS pixels; render() scales the
+ * context by the pixel ratio so drawing stays sharp on high-DPI displays.
+ */
+function resizeCanvas() {
+  const pixelRatio = window.devicePixelRatio || 1
+  // clientWidth/Height exclude the canvas border
+  const width = game.canvas.clientWidth
+  const height = game.canvas.clientHeight
   
-  function gameLoop(currentTime) {
-    const deltaTime = currentTime - lastTime
-    lastTime = currentTime
+  game.viewWidth = width
+  game.viewHeight = height
+  game.pixelRatio = pixelRatio
+  game.canvas.width = Math.round(width * pixelRatio)
+  game.canvas.height = Math.round(height * pixelRatio)
+  game.camera.setViewSize(width, height)
+}
 
-    update(deltaTime)
-    render()
+/**
+ * Issue a player command: record it, then execute it on the simulation
+ * Every input that changes the match must go through here so replays stay exact
+ */
+function issueCommand(command) {
+  if (game.replayPlayer) {
+    console.log('Commands are disabled during replay playback')
+    return false
+  }
+  
+  game.recorder.record(command)
+  return game.simulation.executeCommand(command)
+}
+
+/**
+ * Spawn a unit (position and owner are chosen by the simulation when omitted;
+ * a color picks the player with that team color)
+ * @param {string} unitType - Registered unit type id (defaults to the map editor's selection)
+ */
+function spawnUnit(x = null, y = null, colorPalette = null, unitType = game.mapEditor.selectedUnitType) {
+  return issueCommand({ type: CommandType.SPAWN, x, y, color: colorPalette, unitType })
+}
+
+/**
+ * Get ids of a list of units (commands reference units by id)
+ */
+function getUnitIds(units) {
+  return units.map(unit => unit.id)
+}
 
-    requestAnimationFrame(gameLoop)
+/**
+ * Get how a unit relates to the local player
+ * @returns {string} 'own', 'ally' or 'enemy' (neutral units count as enemies)
+ */
+function getUnitRelation(unit) {
+  if (unit.owner === game.localPlayerId) return 'own'
+  if (unit.owner !== null && game.simulation.arePlayersAllied(unit.owner, game.localPlayerId)) return 'ally'
+  return 'enemy'
+}
+
+/**
+ * Check if the local player can see a unit (enemy burrowed units are hidden)
+ */
+function isVisibleToLocalPlayer(unit) {
+  return !unit.burrowed || getUnitRelation(unit) !== 'enemy'
+}
+
+/**
+ * Get the selected units the local player may command (other players' units are inspect-only)
+ */
+function getCommandableSelection() {
+  return game.simulation.units.filter(unit => unit.selected && unit.owner === game.localPlayerId)
+}
+
+/**
+ * Order the selected units to a world position: attack an enemy target unit,
+ * follow a friendly one, or move when there is no target
+ * @param {boolean} queued - Queue after the units' current orders (shift held)
+ * @returns {*} Command result, or false if none of the local player's units are selected
+ */
+function commandSelectedUnits(worldX, worldY, targetUnit = null, queued = false) {
+  const selectedUnits = getCommandableSelection()
+  if (selectedUnits.length === 0) return false
+  
+  const unitIds = getUnitIds(selectedUnits)
+  const playerId = game.localPlayerId
+  if (targetUnit) {
+    const type = getUnitRelation(targetUnit) === 'enemy' ? CommandType.ATTACK : CommandType.FOLLOW
+    return issueCommand({ type, playerId, unitIds, targetId: targetUnit.id, queued })
   }
+  return issueCommand({ type: CommandType.MOVE, playerId, unitIds, x: worldX, y: worldY, queued })
+}
 
-  requestAnimationFrame(gameLoop)
+/**
+ * Wait for a target click for a command (the cursor shows a targeting state meanwhile)
+ * @param {boolean} needsSelection - The command orders the selected units (heals don't)
+ * @returns {boolean} False if the command needs units and none of the local player's are selected
+ */
+function setPendingCommand(type, needsSelection = true) {
+  if (needsSelection && getCommandableSelection().length === 0) return false
+  
+  game.pendingCommand = type
+  if (game.cursor) {
+    game.cursor.setState('target')
+  }
+  return true
+}
+
+/**
+ * Leave targeting without issuing the pending command
+ */
+function cancelPendingCommand() {
+  game.pendingCommand = null
+  game.pendingAbility = null
+  if (game.cursor) {
+    game.cursor.setState('default')
+  }
+}
+
+/**
+ * Issue the pending command at a target position (or unit) and leave targeting
+ * Attack-move on an enemy unit attacks it directly. A queued command keeps
+ * targeting active so several waypoints can be shift-clicked in a row.
+ */
+function issuePendingCommand(worldX, worldY, targetUnit = null, queued = false) {
+  const type = game.pendingCommand
+  const abilityId = game.pendingAbility
+  if (!queued) {
+    cancelPendingCommand()
+  }
+  
+  // Heals are cast by the local player, not by the selected units
+  const playerId = game.localPlayerId
+  if (type === CommandType.TRANSFUSE) {
+    return targetUnit ? issueCommand({ type, playerId, targetId: targetUnit.id }) : false
+  }
+  if (type === CommandType.HEALING_POOL) {
+    return issueCommand({ type, playerId, x: worldX, y: worldY })
+  }
+  
+  const selectedUnits = getCommandableSelection()
+  if (selectedUnits.length === 0) return false
+  
+  const unitIds = getUnitIds(selectedUnits)
+  switch (type) {
+    case CommandType.ATTACK_MOVE:
+      if (targetUnit && getUnitRelation(targetUnit) === 'enemy') {
+        return issueCommand({ type: CommandType.ATTACK, playerId, unitIds, targetId: targetUnit.id, queued })
+      }
+      return issueCommand({ type: CommandType.ATTACK_MOVE, playerId, unitIds, x: worldX, y: worldY, queued })
+    case CommandType.PATROL:
+      return issueCommand({ type: CommandType.PATROL, playerId, unitIds, x: worldX, y: worldY, queued })
+    case CommandType.CAST:
+      if (getAbility(abilityId).targeting === AbilityTarget.UNIT) {
+        return targetUnit ? issueCommand({ type, playerId, unitIds, abilityId, targetId: targetUnit.id }) : false
+      }
+      return issueCommand({ type, playerId, unitIds, abilityId, x: worldX, y: worldY })
+    default:
+      return false
+  }
+}
+
+/**
+ * Find the ability bound to a hotkey among the local player's selected units
+ * @returns {string|null} Ability id
+ */
+function getSelectedAbility(key) {
+  return getCommandableSelection()
+    .flatMap(unit => unit.abilities)
+    .find(id => getAbility(id).hotkey === key.toLowerCase()) || null
 }
 
-function spawnUnit(x, y, colorPalette = null) {
-  // If no palette specified, choose random
-  if (!colorPalette) {
-    colorPalette = getRandomPalette()
+/**
+ * Cast the ability bound to a hotkey with the selected units that have it
+ * Instant abilities are cast right away; point and unit abilities wait for a target click.
+ * @returns {boolean} False if no selected unit has an ability on that key
+ */
+function castSelectedAbility(key) {
+  const selectedUnits = getCommandableSelection()
+  const abilityId = getSelectedAbility(key)
+  if (!abilityId) return false
+  
+  if (getAbility(abilityId).targeting === AbilityTarget.INSTANT) {
+    const casters = selectedUnits.filter(unit => unit.abilities.includes(abilityId))
+    return issueCommand({ type: CommandType.CAST, playerId: game.localPlayerId, unitIds: getUnitIds(casters), abilityId })
   }
   
-  const unit = new Zergling(x, y, colorPalette, game.spriteSheet, game.colorShader)
-  game.units.push(unit)
+  if (!setPendingCommand(CommandType.CAST)) return false
+  game.pendingAbility = abilityId
+  return true
+}
+
+/**
+ * Give the local player's selected units an order that needs no target (stop, hold)
+ * @param {boolean} queued - Queue after the units' current orders (hold only; stop is immediate)
+ */
+function orderSelectedUnits(type, queued = false) {
+  const selectedUnits = getCommandableSelection()
+  if (selectedUnits.length === 0) return false
+  
+  return issueCommand({ type, playerId: game.localPlayerId, unitIds: getUnitIds(selectedUnits), queued })
+}
+
+/**
+ * Toggle a clicked unit's selection, deselecting the others unless adding to the selection
+ * Other players' units can only be inspected one at a time, so clicking one
+ * clears the selection, and adding own units drops any inspected unit.
+ */
+function toggleUnitSelection(unit, addToSelection = false) {
+  const inspectOnly = unit.owner !== game.localPlayerId
+  game.simulation.units.forEach(other => {
+    if (other !== unit && (!addToSelection || inspectOnly || other.owner !== game.localPlayerId)) {
+      other.setSelected(false)
+    }
+  })
+  unit.toggleSelection()
+}
+
+/**
+ * Switch the local player (hot-seat testing), dropping the old player's selection
+ */
+function cycleLocalPlayer() {
+  const players = game.simulation.players
+  const index = players.findIndex(player => player.id === game.localPlayerId)
+  game.localPlayerId = players[(index + 1) % players.length].id
+  cancelPendingCommand()
+  game.simulation.units.forEach(unit => unit.setSelected(false))
   updateStats()
+  console.log(`Now controlling ${game.simulation.getPlayer(game.localPlayerId).name}`)
 }
 
 /**
  * Load a background image overlay
  */
 function loadBackgroundImage(imagePath) {
+  game.backgroundImagePath = imagePath
   game.backgroundImage = new Image()
   game.backgroundImage.onload = () => {
     game.backgroundImageLoaded = true
@@ -173,6 +463,214 @@ function loadBackgroundImageFromFile() {
 // Expose function to window for MapEditor access
 window.loadBackgroundImageFromFile = loadBackgroundImageFromFile
 
+/**
+ * Swap the simulation being played and rendered (replay playback, seeking)
+ */
+function setSimulation(simulation) {
+  game.simulation = simulation
+  subscribeToSimulation(simulation)
+  game.mapEditor.setGrid(simulation.grid)
+  game.camera.setWorldSize(simulation.grid.width, simulation.grid.height)
+  updateStats()
+}
+
+/**
+ * Listen to the events of the simulation being played (replacing earlier subscriptions)
+ */
+function subscribeToSimulation(simulation) {
+  game.eventSubscriptions.forEach(unsubscribe => unsubscribe())
+  
+  const events = simulation.events
+  game.projectileRenderer.clear()
+  game.eventSubscriptions = [
+    events.on(GameEvent.PROJECTILE_IMPACT, ({ projectile }) => {
+      game.projectileRenderer.addImpact(projectile)
+    }),
+    events.on(GameEvent.UNIT_HEALED, ({ unit, amount, cause }) => {
+      // Regeneration is too slow to be worth animating
+      const renderer = game.unitRenderers[unit.type]
+      if (renderer && cause !== HealthChangeCause.REGENERATION) {
+        renderer.addHealEffect(unit, amount)
+      }
+    }),
+    events.on(GameEvent.UNIT_KILLED, ({ unit }) => {
+      const renderer = game.unitRenderers[unit.type]
+      if (renderer && renderer.playDeathSound) {
+        renderer.playDeathSound()
+      }
+    })
+  ]
+}
+
+/**
+ * Download a JSON file
+ */
+function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Export the live match's command log as a replay file
+ */
+function exportReplay() {
+  const replay = game.recorder.toJSON()
+  downloadJSON(`replay_${replay.seed}_${replay.endTick}.json`, replay)
+  console.log(`Replay exported: ${replay.commands.length} commands over ${replay.endTick} ticks`)
+}
+
+/**
+ * Load a replay file from file picker and start playback
+ */
+function loadReplayFromFile() {
+  const input = document.createElement('input')
+  input.type = 'file'
+  input.accept = '.json,application/json'
+  
+  input.onchange = (e) => {
+    const file = e.target.files[0]
+    if (file) {
+      const reader = new FileReader()
+      reader.onload = (event) => {
+        startReplayPlayback(event.target.result)
+      }
+      reader.readAsText(file)
+    }
+  }
+  
+  input.click()
+}
+
+/**
+ * Start playing back a replay (the live match is kept aside until playback stops)
+ */
+function startReplayPlayback(json) {
+  let replay
+  try {
+    replay = parseReplay(json)
+  } catch (error) {
+    console.error('Failed to load replay:', error)
+    alert('Failed to load replay')
+    return
+  }
+  
+  if (!game.replayPlayer) {
+    game.liveSimulation = game.simulation
+  }
+  game.replayPlayer = new ReplayPlayer(replay)
+  setSimulation(game.replayPlayer.simulation)
+  game.loop.setPaused(false)
+  console.log(`Replay loaded: ${replay.commands.length} commands over ${replay.endTick} ticks`)
+}
+
+/**
+ * Stop replay playback and return to the live match
+ */
+function stopReplayPlayback() {
+  game.replayPlayer = null
+  setSimulation(game.liveSimulation)
+  game.liveSimulation = null
+  console.log('Replay playback stopped')
+}
+
+/**
+ * Seek replay playback to a tick
+ */
+function seekReplay(tick) {
+  game.replayPlayer.seek(tick)
+  setSimulation(game.replayPlayer.simulation)
+}
+
+/**
+ * Format a tick count as mm:ss of game time
+ */
+function formatTicks(ticks) {
+  const totalSeconds = Math.floor(ticks / TICK_RATE)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Capture everything needed to resume the current match
+ */
+function createSnapshot() {
+  return {
+    simulation: game.simulation.toJSON(),
+    background: {
+      path: game.backgroundImagePath,
+      offset: { ...game.backgroundImageOffset },
+      opacity: game.backgroundImageOpacity
+    },
+    editor: {
+      selectedUnitColor: game.mapEditor.selectedUnitColor,
+      selectedUnitType: game.mapEditor.selectedUnitType
+    },
+    camera: { x: game.camera.x, y: game.camera.y, zoomIndex: game.camera.zoomIndex },
+    localPlayerId: game.localPlayerId
+  }
+}
+
+/**
+ * Resume a match from a snapshot (the replay recording restarts from here)
+ */
+function restoreSnapshot(snapshot) {
+  setSimulation(Simulation.fromJSON(snapshot.simulation))
+  game.recorder = new ReplayRecorder(game.simulation)
+  
+  const { background, editor, camera } = snapshot
+  if (background.path && background.path !== game.backgroundImagePath) {
+    loadBackgroundImage(background.path)
+  }
+  game.backgroundImageOffset = { ...background.offset }
+  game.backgroundImageOpacity = background.opacity
+  game.mapEditor.setSelectedColor(editor.selectedUnitColor)
+  if (editor.selectedUnitType) {
+    game.mapEditor.setSelectedUnitType(editor.selectedUnitType)
+  }
+  if (camera) {
+    game.camera.setZoomIndex(camera.zoomIndex ?? game.camera.zoomIndex)
+    game.camera.setPosition(camera.x, camera.y)
+  }
+  if (snapshot.localPlayerId !== undefined && game.simulation.getPlayer(snapshot.localPlayerId)) {
+    game.localPlayerId = snapshot.localPlayerId
+  }
+  updateStats()
+}
+
+/**
+ * Save the match to a named slot
+ */
+function saveGame(name) {
+  if (game.replayPlayer) {
+    console.log('Saving is disabled during replay playback')
+    return false
+  }
+  return game.saveGames.save(name, createSnapshot())
+}
+
+/**
+ * Load the match from a named slot
+ */
+function loadGame(name) {
+  if (game.replayPlayer) {
+    console.log('Loading is disabled during replay playback')
+    return false
+  }
+  
+  const snapshot = game.saveGames.load(name)
+  if (!snapshot) return false
+  
+  restoreSnapshot(snapshot)
+  console.log(`Game loaded: ${name} (tick ${game.simulation.currentTick})`)
+  return true
+}
+
 /**
  * Create obstacles on the map
  */
@@ -181,24 +679,24 @@ function createObstacles() {
   
   // Vertical wall on left side
   // for (let y = 2; y < 10; y++) {
-  //   game.grid.setTile(4, y, 1) // 1 = blocked
+  //   game.simulation.grid.setTile(4, y, 1) // 1 = blocked
   // }
   
   // // Horizontal wall in middle
   // for (let x = 8; x < 16; x++) {
-  //   game.grid.setTile(x, 5, 1)
+  //   game.simulation.grid.setTile(x, 5, 1)
   // }
   
   // // Small building/obstacle
   // for (let y = 8; y < 11; y++) {
   //   for (let x = 10; x < 13; x++) {
-  //     game.grid.setTile(x, y, 1)
+  //     game.simulation.grid.setTile(x, y, 1)
   //   }
   // }
   
   // // Another vertical wall
   // for (let y = 1; y < 6; y++) {
-  //   game.grid.setTile(18, y, 1)
+  //   game.simulation.grid.setTile(18, y, 1)
   // }
   
   // Random scattered obstacles
@@ -210,62 +708,105 @@ function createObstacles() {
     { x: 16, y: 10 }
   ]
   
-  randomObstacles.forEach(obs => {
-    game.grid.setTile(obs.x, obs.y, 1)
+  issueCommand({
+    type: CommandType.SET_TILES,
+    tiles: randomObstacles.map(obs => ({ x: obs.x, y: obs.y, value: 1 }))
   })
   
   console.log('Obstacles created on the map')
 }
 
 function preloadPalettes() {
-  console.log('Preloading color palettes...')
-  
-  // Import Zergling sprite sheet configuration
-  import('./Zergling.js').then(module => {
-    const { SPRITE_WIDTH, SPRITE_HEIGHT, SPRITE_OFFSET_X, SPRITE_OFFSET_Y, 
-            SPRITE_SPACING_X, SPRITE_SPACING_Y, SPRITE_SHEET } = module
-    
-    const config = {
-      SPRITE_WIDTH,
-      SPRITE_HEIGHT,
-      SPRITE_OFFSET_X,
-      SPRITE_OFFSET_Y,
-      SPRITE_SPACING_X,
-      SPRITE_SPACING_Y,
-      SPRITE_SHEET
-    }
-    
-    // Preload common palettes
-    game.colorShader.preloadPalette(game.spriteSheet, config, 'red')
-    game.colorShader.preloadPalette(game.spriteSheet, config, 'blue')
-    game.colorShader.preloadPalette(game.spriteSheet, config, 'green')
-    game.colorShader.preloadPalette(game.spriteSheet, config, 'yellow')
-    
-    console.log(`Total cached sprites: ${game.colorShader.getCacheSize()}`)
+  // Preload common palettes (each renderer waits for its sprite sheet)
+  Object.values(game.unitRenderers).forEach(renderer => {
+    renderer.preloadPalettes(['red', 'blue', 'green', 'yellow'])
   })
 }
 
+/**
+ * Advance the simulation by one fixed tick
+ * @param {number} deltaTime - Tick duration in milliseconds (constant)
+ */
 function update(deltaTime) {
-  // Update all units with grid and other units for collision detection
-  game.units.forEach(unit => unit.update(deltaTime, game.grid, game.units))
-
-  // Remove dead units after death animation
-  game.units = game.units.filter(unit => !unit.isDeathAnimationComplete())
+  const start = performance.now()
+  
+  if (game.replayPlayer) {
+    // Playback feeds the recorded commands in; stop at the end of the recording
+    if (!game.replayPlayer.step()) {
+      game.loop.setPaused(true)
+    }
+  } else {
+    game.simulation.update(deltaTime)
+  }
+  
+  game.perfOverlay.recordUpdate(performance.now() - start)
+}
 
+/**
+ * Per-frame work that runs on wall-clock time rather than simulation ticks
+ * @param {number} frameTime - Milliseconds since the previous frame
+ */
+function updateFrame(frameTime) {
+  // The previous frame's ticks and render are done
+  game.perfOverlay.endFrame(frameTime)
+  
   // Update cursor animation
   if (game.cursor) {
-    game.cursor.update(deltaTime)
+    game.cursor.update(frameTime)
   }
+  
+  updateCamera(frameTime)
+}
 
-  updateStats()
+/**
+ * Scroll the camera with the arrow keys or by holding the mouse at the canvas edge
+ */
+function updateCamera(frameTime) {
+  let dirX = 0
+  let dirY = 0
+  
+  // Arrow keys move the background image in background mode instead
+  const arrowsMoveBackground = game.mapEditor.isActive && game.mapEditor.backgroundImageMode
+  if (!arrowsMoveBackground) {
+    dirX = (game.keys.ArrowRight ? 1 : 0) - (game.keys.ArrowLeft ? 1 : 0)
+    dirY = (game.keys.ArrowDown ? 1 : 0) - (game.keys.ArrowUp ? 1 : 0)
+  }
+  
+  if (game.mouseInCanvas) {
+    const edge = game.camera.getEdgeScrollDirection(game.mouse.x, game.mouse.y)
+    dirX = dirX || edge.x
+    dirY = dirY || edge.y
+  }
+  
+  game.camera.update(frameTime, dirX, dirY)
+  
+  // The world moved under the mouse
+  const world = game.camera.screenToWorld(game.mouse.x, game.mouse.y)
+  game.hoveredTile = game.simulation.grid.worldToGrid(world.x, world.y)
+  if (game.isSelecting) {
+    game.selectionEnd = world
+  }
 }
 
-function render() {
+/**
+ * Draw the current state
+ * @param {number} alpha - Interpolation factor between the previous and current tick
+ */
+function render(alpha = 1) {
+  const start = performance.now()
   const ctx = game.ctx
 
+  // Draw in CSS pixels on the high-DPI backing store (resizing resets context state)
+  ctx.setTransform(game.pixelRatio, 0, 0, game.pixelRatio, 0, 0)
+  ctx.imageSmoothingEnabled = false
+
   // Clear canvas
   ctx.fillStyle = '#808080'
-  ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+  ctx.fillRect(0, 0, game.viewWidth, game.viewHeight)
+
+  // World-space drawing
+  ctx.save()
+  game.camera.applyTransform(ctx)
 
   // Draw background image FIRST (under everything)
   if (game.backgroundImageLoaded && game.backgroundImage) {
@@ -282,40 +823,77 @@ function render() {
   // Draw tile grid on top of background ONLY if map editor is active
   const showGrid = game.mapEditor && game.mapEditor.isActive
   const showWalls = game.mapEditor && game.mapEditor.isActive
-  game.grid.draw(ctx, showGrid, showWalls)
+  game.simulation.grid.draw(ctx, showGrid, showWalls, game.camera.getVisibleBounds())
 
-  // Debug visualizations
-  if (game.debugMode) {
-    // Highlight hovered tile
-    if (game.hoveredTile) {
-      game.grid.highlightTile(ctx, game.hoveredTile.x, game.hoveredTile.y, 'rgba(255, 255, 255, 0.2)')
+  // Debug: highlight hovered tile (part of the terrain, under everything else)
+  if (game.debugMode && game.hoveredTile) {
+    game.simulation.grid.highlightTile(ctx, game.hoveredTile.x, game.hoveredTile.y, 'rgba(255, 255, 255, 0.2)')
+  }
+
+  const queue = game.renderQueue
+
+  // Healing pools on the ground, under the units standing in them
+  game.simulation.healingAreas.forEach(area => {
+    queue.submit(RenderLayer.GROUND, ctx => drawHealingArea(ctx, area), area.y)
+  })
+
+  // Units submit shadows, selection circles, sprites and health bars to their layers
+  game.simulation.units.forEach(unit => {
+    if (!isVisibleToLocalPlayer(unit)) return
+    
+    const renderer = game.unitRenderers[unit.type]
+    if (renderer) {
+      renderer.submit(queue, unit, alpha, SELECTION_COLORS[getUnitRelation(unit)])
+    } else {
+      unit.submitDraw(queue, alpha)
+    }
+  })
+
+  // Projectiles in flight and impact effects
+  game.projectileRenderer.submit(queue, game.simulation.projectiles.projectiles, alpha)
+
+  // Waypoints of the local player's selected units (queued orders, or all orders while shift is held)
+  game.simulation.units.forEach(unit => {
+    if (!unit.selected || unit.owner !== game.localPlayerId) return
+    if (unit.orderQueue.length === 0 && !game.keys.Shift) return
+    
+    const waypoints = game.simulation.getOrderWaypoints(unit)
+    if (waypoints.length > 0) {
+      const start = unit.getRenderPosition(alpha)
+      queue.submit(RenderLayer.UI, ctx => drawWaypoints(ctx, start, waypoints))
     }
+  })
 
-    // Draw unit paths (for debugging/visualization)
-    game.units.forEach(unit => {
+  // Debug: draw unit paths (for debugging/visualization)
+  if (game.debugMode) {
+    game.simulation.units.forEach(unit => {
       if (unit.selected && unit.path.length > 0) {
         // Convert path from world coords to grid coords for visualization
-        const gridPath = unit.path.map(p => game.grid.worldToGrid(p.x, p.y))
-        game.grid.drawPath(ctx, gridPath, 'rgba(0, 255, 0, 0.3)')
+        const gridPath = unit.path.map(p => game.simulation.grid.worldToGrid(p.x, p.y))
+        queue.submit(RenderLayer.UI, ctx => game.simulation.grid.drawPath(ctx, gridPath, 'rgba(0, 255, 0, 0.3)'))
       }
     })
   }
-
-  // Draw units
-  game.units.forEach(unit => {
-    unit.draw(ctx)
-  })
   
   // Draw brush preview for map editor (only in tile editing mode, not background mode)
   if (game.mapEditor && game.mapEditor.isActive && game.hoveredTile && !game.mapEditor.backgroundImageMode) {
-    game.mapEditor.drawBrushPreview(ctx, game.hoveredTile.x, game.hoveredTile.y, TILE_SIZE)
+    const tile = game.hoveredTile
+    queue.submit(RenderLayer.UI, ctx => game.mapEditor.drawBrushPreview(ctx, tile.x, tile.y, TILE_SIZE))
+  }
+
+  // Draw selection box
+  if (game.isSelecting) {
+    queue.submit(RenderLayer.UI, drawSelectionBox)
   }
   
+  queue.flush(ctx)
+  ctx.restore()
+  
   // Debug: Show unit count
   ctx.fillStyle = '#00ff00'
   ctx.font = '12px "Courier New"'
   ctx.textAlign = 'left'
-  ctx.fillText(`Units: ${game.units.length}`, 10, 20)
+  ctx.fillText(`Units: ${game.simulation.units.length}`, 10, 20)
   
   if (game.mapEditor && game.mapEditor.isActive) {
     ctx.fillStyle = '#ffff00'
@@ -326,25 +904,151 @@ function render() {
     ctx.fillStyle = '#ff00ff'
     ctx.fillText('DEBUG MODE (D to toggle)', 10, game.mapEditor && game.mapEditor.isActive ? 60 : 40)
   }
-
-  // Draw selection box
-  if (game.isSelecting) {
-    ctx.strokeStyle = '#249824'
-    ctx.lineWidth = 1
-    // ctx.setLineDash([5, 5])
-    ctx.strokeRect(
-      game.selectionStart.x,
-      game.selectionStart.y,
-      game.selectionEnd.x - game.selectionStart.x,
-      game.selectionEnd.y - game.selectionStart.y
+  
+  if (game.replayPlayer) {
+    ctx.fillStyle = '#00ffff'
+    ctx.textAlign = 'right'
+    ctx.fillText(
+      `REPLAY ${formatTicks(game.replayPlayer.getCurrentTick())} / ${formatTicks(game.replayPlayer.endTick)} (F4 to exit)`,
+      game.viewWidth - 10, 20
     )
-    ctx.setLineDash([])
+    ctx.textAlign = 'left'
+  }
+  
+  if (game.loop.paused) {
+    ctx.fillStyle = '#ffff00'
+    ctx.textAlign = 'center'
+    ctx.fillText('PAUSED (F2 to resume, N to step)', game.viewWidth / 2, 20)
+    ctx.textAlign = 'left'
+  }
+  
+  if (game.debugMode) {
+    game.perfOverlay.draw(ctx, game.viewWidth - 10, game.viewHeight - 10, {
+      units: game.simulation.units.length,
+      cacheSize: game.colorShader.getCacheSize(),
+      cacheMemory: game.colorShader.getCacheMemory()
+    })
   }
   
   // Draw animated cursor
   if (game.cursor) {
     game.cursor.draw(ctx)
   }
+  
+  game.minimap.draw(game.simulation, game.camera, isVisibleToLocalPlayer)
+  // The HUD is refreshed once per frame, not per selection or command event
+  // (a box selection emits selectionChanged for every unit it picks)
+  updateStats()
+  updateUnitInfo()
+  
+  game.perfOverlay.recordRender(performance.now() - start)
+}
+
+/**
+ * Draw the targeting cursor: a crosshair centered on the mouse (screen space)
+ */
+function drawTargetCursor(ctx, x, y) {
+  ctx.strokeStyle = '#ff3030'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.arc(x, y, 8, 0, Math.PI * 2)
+  ctx.moveTo(x - 13, y)
+  ctx.lineTo(x - 4, y)
+  ctx.moveTo(x + 4, y)
+  ctx.lineTo(x + 13, y)
+  ctx.moveTo(x, y - 13)
+  ctx.lineTo(x, y - 4)
+  ctx.moveTo(x, y + 4)
+  ctx.lineTo(x, y + 13)
+  ctx.stroke()
+}
+
+/**
+ * Draw a unit's order waypoints as lines and markers (world space), colored by order type
+ * @param {Object} start - Unit position the first line starts from
+ * @param {Array} waypoints - { x, y, type } from simulation.getOrderWaypoints()
+ */
+function drawWaypoints(ctx, start, waypoints) {
+  ctx.lineWidth = 1
+  ctx.lineCap = 'round'
+  
+  let from = start
+  waypoints.forEach(waypoint => {
+    const color = WAYPOINT_COLORS[waypoint.type] || WAYPOINT_COLORS[UnitOrder.MOVE]
+    ctx.strokeStyle = color
+    ctx.globalAlpha = 0.6
+    ctx.beginPath()
+    ctx.moveTo(from.x, from.y)
+    ctx.lineTo(waypoint.x, waypoint.y)
+    ctx.stroke()
+    
+    // Hold is a square, every other order a dot
+    ctx.globalAlpha = 1
+    ctx.fillStyle = color
+    ctx.beginPath()
+    if (waypoint.type === UnitOrder.HOLD) {
+      ctx.rect(waypoint.x - 3, waypoint.y - 3, 6, 6)
+    } else {
+      ctx.arc(waypoint.x, waypoint.y, 3, 0, Math.PI * 2)
+    }
+    ctx.fill()
+    from = waypoint
+  })
+  ctx.globalAlpha = 1
+}
+
+/**
+ * Draw a healing pool (world space), fading out as it runs out
+ */
+function drawHealingArea(ctx, area) {
+  const strength = Math.min(1, area.remaining / 1000) // Fade over the last second
+  ctx.save()
+  ctx.globalAlpha = strength
+  ctx.fillStyle = 'rgba(120, 220, 90, 0.25)'
+  ctx.strokeStyle = 'rgba(160, 255, 120, 0.7)'
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.ellipse(area.x, area.y, area.radius, area.radius * 0.6, 0, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.stroke()
+  ctx.restore()
+}
+
+/**
+ * Draw the drag-selection box (world space)
+ */
+function drawSelectionBox(ctx) {
+  ctx.strokeStyle = '#249824'
+  ctx.lineWidth = 1
+  // ctx.setLineDash([5, 5])
+  ctx.strokeRect(
+    game.selectionStart.x,
+    game.selectionStart.y,
+    game.selectionEnd.x - game.selectionStart.x,
+    game.selectionEnd.y - game.selectionStart.y
+  )
+  ctx.setLineDash([])
+}
+
+/**
+ * Get the mouse position in screen (canvas) coordinates
+ * These are CSS pixels inside the canvas border, matching game.viewWidth/viewHeight
+ * at any canvas size or pixel ratio.
+ */
+function getMouseScreenPosition(e) {
+  const rect = game.canvas.getBoundingClientRect()
+  return {
+    x: e.clientX - rect.left - game.canvas.clientLeft,
+    y: e.clientY - rect.top - game.canvas.clientTop
+  }
+}
+
+/**
+ * Get the mouse position in world coordinates
+ */
+function getMouseWorldPosition(e) {
+  const screen = getMouseScreenPosition(e)
+  return game.camera.screenToWorld(screen.x, screen.y)
 }
 
 function handleMouseDown(e) {
@@ -353,32 +1057,46 @@ function handleMouseDown(e) {
     return
   }
   
-  const rect = game.canvas.getBoundingClientRect()
-  const x = e.clientX - rect.left
-  const y = e.clientY - rect.top
+  // Middle button pans the camera
+  if (e.button === 1) {
+    e.preventDefault()
+    const screen = getMouseScreenPosition(e)
+    game.camera.startDrag(screen.x, screen.y)
+    return
+  }
+  
+  const { x, y } = getMouseWorldPosition(e)
   
   // If map editor is active, handle editor input
   if (game.mapEditor && game.mapEditor.isActive) {
-    const tile = game.grid.worldToGrid(x, y)
+    const tile = game.simulation.grid.worldToGrid(x, y)
     const result = game.mapEditor.startDrawing(tile.x, tile.y)
     
     // Handle unit placement
     if (result.action === 'unit') {
       const worldX = tile.x * TILE_SIZE + TILE_SIZE / 2
       const worldY = tile.y * TILE_SIZE + TILE_SIZE / 2
-      spawnUnit(worldX, worldY, result.data.color)
-      console.log(`Placed ${result.data.color} unit at (${worldX}, ${worldY})`)
+      spawnUnit(worldX, worldY, result.data.color, result.data.unitType)
+      console.log(`Placed ${result.data.color} ${result.data.unitType} at (${worldX}, ${worldY})`)
     }
     
     return
   }
 
+  // A targeting click issues the pending command instead of selecting (right-click cancels)
+  if (game.pendingCommand) {
+    if (e.button === 0) {
+      issuePendingCommand(x, y, game.simulation.getUnitAt(x, y, isVisibleToLocalPlayer), e.shiftKey)
+    }
+    return
+  }
+
   game.isSelecting = true
   game.selectionStart = { x, y }
   game.selectionEnd = { x, y }
 
   // Check if clicking on a unit
-  const clickedUnit = game.units.find(unit => unit.isPointInside(x, y))
+  const clickedUnit = game.simulation.getUnitAt(x, y, isVisibleToLocalPlayer)
   
   // Store whether we clicked on a unit (to prevent movement command on same click)
   game.clickedOnUnit = !!clickedUnit
@@ -387,16 +1105,8 @@ function handleMouseDown(e) {
   // We'll handle deselection in mouseUp if it's a short click with no selected units
   
   if (clickedUnit) {
-    // Clicking on a unit - handle selection/deselection
-    if (!e.shiftKey) {
-      // If not holding shift, deselect all other units
-      game.units.forEach(unit => {
-        if (unit !== clickedUnit) {
-          unit.selected = false
-        }
-      })
-    }
-    clickedUnit.toggleSelection()
+    // Clicking on a unit - handle selection/deselection (shift adds own units)
+    toggleUnitSelection(clickedUnit, e.shiftKey)
     console.log(`Unit ${clickedUnit.selected ? 'selected' : 'deselected'}`)
   }
   // Don't deselect units here when clicking empty space - they might be issuing a move command
@@ -408,19 +1118,24 @@ function handleMouseMove(e) {
     return
   }
   
-  const rect = game.canvas.getBoundingClientRect()
-  const x = e.clientX - rect.left
-  const y = e.clientY - rect.top
-
-  game.mouse = { x, y }
+  const screen = getMouseScreenPosition(e)
+  game.mouse = screen
+  game.mouseInCanvas = true
   
   // Update cursor position
   if (game.cursor) {
-    game.cursor.setPosition(x, y)
+    game.cursor.setPosition(screen.x, screen.y)
+  }
+  
+  // Middle-drag panning
+  if (game.camera.isDragging) {
+    game.camera.drag(screen.x, screen.y)
   }
+  
+  const { x, y } = game.camera.screenToWorld(screen.x, screen.y)
 
   // Update hovered tile
-  game.hoveredTile = game.grid.worldToGrid(x, y)
+  game.hoveredTile = game.simulation.grid.worldToGrid(x, y)
   
   // If map editor is active and drawing, continue drawing
   if (game.mapEditor && game.mapEditor.isActive && game.mapEditor.isDrawing) {
@@ -434,6 +1149,7 @@ function handleMouseMove(e) {
     game.selectionEnd = { x, y }
     
     // Switch to drag select cursor when actively dragging
+    // (world-space distance, so scrolling the camera while dragging counts too)
     const dragDistance = Math.abs(x - game.selectionStart.x) + Math.abs(y - game.selectionStart.y)
     if (dragDistance > 5 && game.cursor && game.cursor.getState() !== 'dragSelect') {
       game.cursor.setState('dragSelect')
@@ -447,6 +1163,12 @@ function handleMouseUp(e) {
     return
   }
   
+  // End middle-drag panning
+  if (e.button === 1) {
+    game.camera.endDrag()
+    return
+  }
+  
   // Stop map editor drawing
   if (game.mapEditor && game.mapEditor.isActive) {
     game.mapEditor.stopDrawing()
@@ -455,9 +1177,7 @@ function handleMouseUp(e) {
   
   if (!game.isSelecting) return
 
-  const rect = game.canvas.getBoundingClientRect()
-  const x = e.clientX - rect.left
-  const y = e.clientY - rect.top
+  const { x, y } = getMouseWorldPosition(e)
 
   game.isSelecting = false
   
@@ -476,41 +1196,42 @@ function handleMouseUp(e) {
 
   if (boxSize > 10) { // If we actually dragged a box
     console.log(`Drag selection detected: box (${minX}, ${minY}) to (${maxX}, ${maxY})`)
-    console.log(`Total units to check: ${game.units.length}`)
+    console.log(`Total units to check: ${game.simulation.units.length}`)
     
-    if (!e.shiftKey) {
-      game.units.forEach(unit => unit.selected = false)
-    }
+    // Box selection takes the local player's units; with none in the box,
+    // one other unit is selected for inspection
+    const boxedUnits = game.simulation.getUnitsInRect(minX, minY, maxX, maxY)
+      .filter(unit => unit.isAlive() && isVisibleToLocalPlayer(unit))
+    const ownUnits = boxedUnits.filter(unit => unit.owner === game.localPlayerId)
+    const addToSelection = e.shiftKey && ownUnits.length > 0
 
-    let selectedCount = 0
-    game.units.forEach(unit => {
-      console.log(`Unit at (${unit.x.toFixed(1)}, ${unit.y.toFixed(1)}) - intersects: ${unit.intersectsRect(minX, minY, maxX, maxY)}`)
-      if (unit.intersectsRect(minX, minY, maxX, maxY) && unit.isAlive()) {
-        unit.setSelected(true)
-        selectedCount++
+    game.simulation.units.forEach(unit => {
+      if (!addToSelection || unit.owner !== game.localPlayerId) {
+        unit.setSelected(false)
       }
     })
+
+    const unitsToSelect = ownUnits.length > 0 ? ownUnits : boxedUnits.slice(0, 1)
+    unitsToSelect.forEach(unit => unit.setSelected(true))
+    const selectedCount = unitsToSelect.length
     
     console.log(`Drag-selected ${selectedCount} units`)
   } else {
     // Single click
     if (game.obstacleEditMode) {
       // In obstacle edit mode - toggle tile walkability
-      const tile = game.grid.worldToGrid(x, y)
-      const currentValue = game.grid.getTile(tile.x, tile.y)
-      game.grid.setTile(tile.x, tile.y, currentValue === 0 ? 1 : 0)
+      const tile = game.simulation.grid.worldToGrid(x, y)
+      const currentValue = game.simulation.grid.getTile(tile.x, tile.y)
+      issueCommand({ type: CommandType.SET_TILES, tiles: [{ x: tile.x, y: tile.y, value: currentValue === 0 ? 1 : 0 }] })
       console.log(`Tile (${tile.x}, ${tile.y}) set to ${currentValue === 0 ? 'BLOCKED' : 'WALKABLE'}`)
     } else if (game.clickedOnUnit) {
       console.log('Clicked on unit for selection, not issuing move command')
     } else {
-      // Move selected units using pathfinding
-      const selectedUnits = game.units.filter(unit => unit.selected)
-      console.log(`Selected units: ${selectedUnits.length}`)
-      if (selectedUnits.length > 0) {
-        console.log(`Moving ${selectedUnits.length} units to (${x}, ${y})`)
-        moveUnitsToPosition(selectedUnits, x, y)
+      // Move the local player's selected units using pathfinding
+      if (commandSelectedUnits(x, y, null, e.shiftKey) !== false) {
+        console.log(`Moving selected units to (${x}, ${y})`)
       } else {
-        console.log('No units selected! Click on a unit first to select it.')
+        console.log('No units selected! Click on one of your units first to select it.')
       }
     }
   }
@@ -519,68 +1240,89 @@ function handleMouseUp(e) {
   game.clickedOnUnit = false
 }
 
+function handleRightClick(e) {
+  e.preventDefault()
+
+  // Right-click cancels targeting
+  if (game.pendingCommand) {
+    cancelPendingCommand()
+    return false
+  }
+
+  const { x, y } = getMouseWorldPosition(e)
+
+  // Right-clicking a unit attacks it (enemy) or follows it (own or allied)
+  const clickedUnit = game.simulation.getUnitAt(x, y, isVisibleToLocalPlayer)
+
+  if (clickedUnit) {
+    commandSelectedUnits(x, y, clickedUnit, e.shiftKey)
+  }
+
+  return false
+}
+
 /**
- * Move units to a position using pixel-perfect pathfinding
+ * Get the mouse position in minimap pixel coordinates
  */
-function moveUnitsToPosition(units, worldX, worldY) {
-  console.log(`Moving units to exact position: (${worldX.toFixed(1)}, ${worldY.toFixed(1)})`)
+function getMinimapPosition(e) {
+  const rect = game.minimap.canvas.getBoundingClientRect()
+  return {
+    x: e.clientX - rect.left,
+    y: e.clientY - rect.top
+  }
+}
+
+function handleMinimapMouseDown(e) {
+  e.preventDefault()
+  const position = getMinimapPosition(e)
   
-  // Check if target is in a walkable tile
-  const targetTile = game.grid.worldToGrid(worldX, worldY)
-  if (!game.grid.isWalkable(targetTile.x, targetTile.y)) {
-    console.log('Target tile is not walkable')
-    return
+  if (e.button === 0 && game.pendingCommand) {
+    // Targeting on the minimap
+    const world = game.minimap.minimapToWorld(position.x, position.y)
+    issuePendingCommand(world.x, world.y, game.minimap.getUnitAt(game.simulation, position.x, position.y, isVisibleToLocalPlayer), e.shiftKey)
+  } else if (e.button === 2 && game.pendingCommand) {
+    cancelPendingCommand()
+  } else if (e.button === 0) {
+    // Jump the camera (and keep following while the button is held)
+    game.minimap.isDragging = true
+    const world = game.minimap.minimapToWorld(position.x, position.y)
+    game.camera.centerOn(world.x, world.y)
+  } else if (e.button === 2) {
+    // Attack or follow the unit under the cursor, or move there
+    const world = game.minimap.minimapToWorld(position.x, position.y)
+    const targetUnit = game.minimap.getUnitAt(game.simulation, position.x, position.y, isVisibleToLocalPlayer)
+    commandSelectedUnits(world.x, world.y, targetUnit, e.shiftKey)
   }
+}
 
-  units.forEach(unit => {
-    // Use pixel-perfect pathfinding
-    const startWorld = { x: unit.x, y: unit.y }
-    const goalWorld = { x: worldX, y: worldY }
-    
-    console.log(`Finding pixel path from (${startWorld.x.toFixed(1)}, ${startWorld.y.toFixed(1)}) to (${goalWorld.x.toFixed(1)}, ${goalWorld.y.toFixed(1)})`)
-    
-    // Find pixel-perfect path
-    const pixelPath = findPixelPath(game.grid, startWorld, goalWorld)
-    
-    if (pixelPath) {
-      // Optimize the path further
-      const optimizedPath = optimizePixelPath(game.grid, pixelPath)
-      
-      console.log(`Pixel path found: ${pixelPath.length} waypoints, optimized to ${optimizedPath.length} waypoints`)
-      
-      // Set the path for the unit
-      unit.setPath(optimizedPath)
-    } else {
-      console.log('No path found!')
-    }
-  })
+function handleMinimapMouseMove(e) {
+  if (!game.minimap.isDragging) return
+  
+  const position = getMinimapPosition(e)
+  const world = game.minimap.minimapToWorld(position.x, position.y)
+  game.camera.centerOn(world.x, world.y)
 }
 
-function handleRightClick(e) {
+function handleWheel(e) {
   e.preventDefault()
+  
+  // One zoom level per wheel notch, centered on the cursor
+  const screen = getMouseScreenPosition(e)
+  game.camera.zoomAt(e.deltaY < 0 ? 1 : -1, screen.x, screen.y)
+}
 
-  const rect = game.canvas.getBoundingClientRect()
-  const x = e.clientX - rect.left
-  const y = e.clientY - rect.top
-
-  // Check if right-clicking on an enemy unit
-  const clickedUnit = game.units.find(unit => unit.isPointInside(x, y))
-  const selectedUnits = game.units.filter(unit => unit.selected)
-
-  if (clickedUnit && selectedUnits.length > 0) {
-    // Attack command
-    selectedUnits.forEach(unit => {
-      if (unit !== clickedUnit) {
-        unit.setAttackTarget(clickedUnit)
-      }
-    })
-  }
-
-  return false
+function handleMouseLeave() {
+  game.mouseInCanvas = false
+  game.camera.endDrag()
 }
 
 function handleKeyDown(e) {
   game.keys[e.key] = true
+  
+  // Arrow keys scroll the camera (held state is read in updateCamera), not the page
+  if (e.key.startsWith('Arrow')) {
+    e.preventDefault()
+  }
 
   // Debug mode toggle
   if (e.key === 'd' || e.key === 'D') {
@@ -589,6 +1331,84 @@ function handleKeyDown(e) {
     return
   }
 
+  // Pause/resume the simulation (works in every mode)
+  if (e.key === 'Pause' || e.key === 'F2') {
+    e.preventDefault()
+    game.loop.togglePause()
+    updateStats()
+    return
+  }
+
+  // Debug mode: advance a single tick while paused
+  if (game.debugMode && (e.key === 'n' || e.key === 'N') && game.loop.paused) {
+    game.loop.stepOnce()
+    return
+  }
+  
+  // Replays: export the live match, or load/stop playback
+  if (e.key === 'F8') {
+    e.preventDefault()
+    if (!game.replayPlayer) {
+      exportReplay()
+    }
+    return
+  }
+  if (e.key === 'F4') {
+    e.preventDefault()
+    if (game.replayPlayer) {
+      stopReplayPlayback()
+    } else {
+      loadReplayFromFile()
+    }
+    return
+  }
+  
+  // Save games: quick save/load and named slots
+  if (e.key === 'F5') {
+    e.preventDefault()
+    saveGame(QUICK_SAVE_SLOT)
+    return
+  }
+  if (e.key === 'F9') {
+    e.preventDefault()
+    loadGame(QUICK_SAVE_SLOT)
+    return
+  }
+  if (e.key === 'F6') {
+    e.preventDefault()
+    if (game.replayPlayer) return
+    const name = prompt('Enter save name:')
+    if (name) {
+      if (saveGame(name)) {
+        alert('Game saved!')
+      } else {
+        alert('Failed to save game')
+      }
+    }
+    return
+  }
+  if (e.key === 'F7') {
+    e.preventDefault()
+    if (!game.replayPlayer) {
+      showLoadGameDialog()
+    }
+    return
+  }
+  
+  // Replay seeking (5 seconds of game time per key press)
+  if (game.replayPlayer) {
+    if (e.key === ',' || e.key === '<') {
+      seekReplay(game.replayPlayer.getCurrentTick() - 5 * TICK_RATE)
+      return
+    } else if (e.key === '.' || e.key === '>') {
+      seekReplay(game.replayPlayer.getCurrentTick() + 5 * TICK_RATE)
+      return
+    } else if (e.key === 'Home') {
+      seekReplay(0)
+      return
+    }
+  }
+
   // Map Editor Controls
   if (e.key === 'm' || e.key === 'M') {
     if (game.mapEditor) {
@@ -711,22 +1531,82 @@ function handleKeyDown(e) {
   }
 
   // Game Controls (only when editor is not active)
-  // Spawn unit with spacebar (random color)
+  // Game speed presets
+  if (e.key === '+' || e.key === '=') {
+    game.loop.changeSpeed(1)
+    updateStats()
+  } else if (e.key === '-' || e.key === '_') {
+    game.loop.changeSpeed(-1)
+    updateStats()
+  }
+  
+  // Abilities of the selected units (e.g. U burrows and unburrows); an ability's
+  // hotkey takes priority over the order keys below (A, P, S, H, ...)
+  if (getSelectedAbility(e.key)) {
+    if (!e.repeat) {
+      castSelectedAbility(e.key)
+    }
+    return
+  }
+  
+  // Attack-move: A, then click the destination
+  if ((e.key === 'a' || e.key === 'A') && !e.ctrlKey && !e.metaKey) {
+    setPendingCommand(CommandType.ATTACK_MOVE)
+  }
+  
+  // Patrol: P, then click the far end of the route
+  if (e.key === 'p' || e.key === 'P') {
+    setPendingCommand(CommandType.PATROL)
+  }
+  
+  // Debug mode: T, then click an own or allied unit to transfuse it; G, then click a spot for a healing pool
+  // (they have no caster, energy or cooldown, so they are not part of normal play)
+  if (game.debugMode && (e.key === 't' || e.key === 'T')) {
+    setPendingCommand(CommandType.TRANSFUSE, false)
+  } else if (game.debugMode && (e.key === 'g' || e.key === 'G')) {
+    setPendingCommand(CommandType.HEALING_POOL, false)
+  }
+  
+  // Stop and Hold Position
+  if (e.key === 's' || e.key === 'S') {
+    orderSelectedUnits(CommandType.STOP)
+  } else if (e.key === 'h' || e.key === 'H') {
+    orderSelectedUnits(CommandType.HOLD, e.shiftKey)
+  }
+  
+  // Escape cancels targeting
+  if (e.key === 'Escape' && game.pendingCommand) {
+    cancelPendingCommand()
+  }
+  
+  // Switch the controlled player with Tab
+  if (e.key === 'Tab') {
+    e.preventDefault()
+    cycleLocalPlayer()
+  }
+  
+  // Spawn a unit of the editor's selected type with spacebar (random position and owner from the seeded generator)
   if (e.key === ' ') {
     e.preventDefault()
-    const x = Math.random() * (CANVAS_WIDTH - 100) + 50
-    const y = Math.random() * (CANVAS_HEIGHT - 100) + 50
-    spawnUnit(x, y) // Random color palette
+    spawnUnit()
+  }
+  
+  // Debug mode: 1-4 put a status effect on the selected units (any owner)
+  if (game.debugMode && DEBUG_STATUS_EFFECTS[e.key]) {
+    const selectedUnits = game.simulation.units.filter(unit => unit.selected)
+    if (selectedUnits.length > 0) {
+      const effectId = DEBUG_STATUS_EFFECTS[e.key]
+      issueCommand({ type: CommandType.STATUS_EFFECT, unitIds: getUnitIds(selectedUnits), effectId })
+      console.log(`Applied ${effectId} to ${selectedUnits.length} unit(s)`)
+    }
   }
   
   // Kill selected units with Delete or Backspace key
   if (e.key === 'Delete' || e.key === 'Backspace') {
     e.preventDefault()
-    const selectedUnits = game.units.filter(unit => unit.selected)
+    const selectedUnits = getCommandableSelection()
     if (selectedUnits.length > 0) {
-      selectedUnits.forEach(unit => {
-        unit.die()
-      })
+      issueCommand({ type: CommandType.KILL, playerId: game.localPlayerId, unitIds: getUnitIds(selectedUnits) })
       console.log(`Killed ${selectedUnits.length} selected unit(s)`)
     }
   }
@@ -734,11 +1614,7 @@ function handleKeyDown(e) {
   // Clear all obstacles with 'C' key
   if (e.key === 'c' || e.key === 'C') {
     if (confirm('Clear all obstacles?')) {
-      for (let y = 0; y < game.grid.rows; y++) {
-        for (let x = 0; x < game.grid.cols; x++) {
-          game.grid.setTile(x, y, 0)
-        }
-      }
+      game.mapEditor.clearMap()
       console.log('All obstacles cleared')
     }
   }
@@ -775,13 +1651,56 @@ function showLoadMapDialog() {
   }
 }
 
+/**
+ * Show load game dialog
+ */
+function showLoadGameDialog() {
+  const saves = game.saveGames.getSaves()
+  
+  if (saves.length === 0) {
+    alert('No saved games found')
+    return
+  }
+  
+  let message = 'Saved Games:\n\n'
+  saves.forEach((save, i) => {
+    const date = new Date(save.timestamp).toLocaleString()
+    message += `${i}: ${save.name} (${save.unitCount} units, ${date})\n`
+  })
+  message += '\nEnter save number to load:'
+  
+  const input = prompt(message)
+  if (input !== null) {
+    const index = parseInt(input)
+    if (!isNaN(index) && saves[index]) {
+      if (!loadGame(saves[index].name)) {
+        alert('Failed to load game')
+      }
+    }
+  }
+}
+
 function handleKeyUp(e) {
   game.keys[e.key] = false
 }
 
+/**
+ * Show the first selected unit in the info panel (research buttons only for the local player's units)
+ */
+function updateUnitInfo() {
+  const unit = game.simulation.units.find(unit => unit.selected && unit.isAlive()) || null
+  const owner = unit ? game.simulation.getPlayer(unit.owner) : null
+  game.unitInfoPanel.update(unit, owner, !!owner && owner.id === game.localPlayerId && !game.replayPlayer)
+}
+
 function updateStats() {
-  document.getElementById('unitCount').textContent = game.units.filter(u => u.isAlive()).length
-  document.getElementById('selectedCount').textContent = game.units.filter(u => u.selected).length
+  document.getElementById('unitCount').textContent = game.simulation.units.filter(u => u.isAlive()).length
+  document.getElementById('gameSpeed').textContent = game.loop && game.loop.paused ? 'Paused' : (game.loop ? game.loop.getSpeed().name : '-')
+  document.getElementById('selectedCount').textContent = game.simulation.units.filter(u => u.selected).length
+  const player = game.simulation.getPlayer(game.localPlayerId)
+  document.getElementById('playerName').textContent = player ? `${player.name} (${player.colorPalette})` : '-'
+  document.getElementById('minerals').textContent = player ? player.minerals : '-'
+  document.getElementById('gas').textContent = player ? player.gas : '-'
 }
 
 // Start the game when page loads